@@ -0,0 +1,403 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+import type {
+  AccountState,
+  BaseAPI,
+  BlockData,
+  CommandOptions,
+  SignedAccountBlock
+} from "./api";
+
+/**
+ * Latest accepted block of an account chain together with its signature.
+ */
+type FrontierBlock = {|
+  blockData: BlockData,
+  signature: string
+|};
+
+/**
+ * Block signed for the account that has not been accepted or rolled back yet.
+ */
+export type PendingBlock = {|
+  blockHash: string,
+  signature: string,
+  blockData: BlockData
+|};
+
+/**
+ * Plain object form of an `Account`, as returned by `toJSON`.
+ *
+ * @property {string} path a path of the account in BIP 32 format
+ * @property {string} publicKey public key (in hex) of the account
+ * @property {string?} frontier hash (in hex) of the latest accepted block
+ * @property {string} balance account balance after the latest accepted block
+ * @property {string} representative address of the representative
+ * @property {Object?} frontierBlock block data and signature of the latest accepted block
+ * @property {PendingBlock[]?} pendingBlocks signed blocks waiting to be accepted
+ */
+export type AccountJSON = {|
+  path: string,
+  publicKey: string,
+  frontier: ?string,
+  balance: string,
+  representative: string,
+  frontierBlock?: ?FrontierBlock,
+  pendingBlocks?: ?(PendingBlock[])
+|};
+
+/**
+ * Account chain on the device, keeping track of its frontier, balance and
+ * representative.
+ *
+ * The blocks signed through the account are pending until they are
+ * accepted with `accept`, for example once the node has processed them,
+ * and the account state advances only then. The next block is always
+ * signed on top of the latest pending block, so that two blocks are never
+ * signed on top of the same frontier. The signing calls run one at a time,
+ * in the order they were made.
+ * @example
+ * const account = await Account.fromDevice(nano, "44'/165'/0'", {
+ *   frontier: null,
+ *   balance: "0",
+ *   representative: "nano_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k"
+ * });
+ * const o = await account.signReceive({ amount, sourceBlock });
+ * await publish(o);
+ * account.accept(o.blockHash);
+ */
+export default class Account {
+  api: BaseAPI;
+  path: string;
+  publicKey: string;
+  frontier: ?string;
+  balance: string;
+  representative: string;
+  frontierBlock: ?FrontierBlock;
+  pendingBlocks: PendingBlock[];
+  _tail: Promise<mixed>;
+
+  /**
+   * Create the account, looking up its public key from the device.
+   * @param api coin API instance of the device
+   * @param path a path of the account in BIP 32 format
+   * @param state current state of the account
+   * @option commandOptions options for running the command
+   */
+  static async fromDevice(
+    api: BaseAPI,
+    path: string,
+    state: AccountState,
+    commandOptions?: CommandOptions
+  ): Promise<Account> {
+    const { publicKey } = await api.getAddress(
+      path,
+      false,
+      null,
+      commandOptions
+    );
+    return new Account(api, { path, publicKey, ...state });
+  }
+
+  /**
+   * Restore the account from the object returned by `toJSON`.
+   * @param api coin API instance of the device
+   * @param json account in the plain object form
+   */
+  static fromJSON(api: BaseAPI, json: AccountJSON): Account {
+    return new Account(api, json);
+  }
+
+  constructor(api: BaseAPI, json: AccountJSON) {
+    const { path, publicKey, frontier, balance, representative } = json;
+    if (typeof path != "string" || !path) {
+      throw new Error("`path` must be a BIP 32 path");
+    }
+    if (!/^[0-9a-fA-F]{64}$/.test(publicKey)) {
+      throw new Error("`publicKey` must be a 64 character hex string");
+    }
+    if (frontier != null && !/^[0-9a-fA-F]{64}$/.test(frontier)) {
+      throw new Error("`frontier` must be a 64 character hex string");
+    }
+    if (!/^[0-9]+$/.test(balance)) {
+      throw new Error("`balance` must be a number");
+    }
+    if (!api.validateAddress(representative).valid) {
+      throw new Error("`representative` must be a valid address");
+    }
+    const pendingBlocks = json.pendingBlocks || [];
+    if (!Array.isArray(pendingBlocks)) {
+      throw new Error("`pendingBlocks` must be an array");
+    }
+
+    this.api = api;
+    this.path = path;
+    this.publicKey = publicKey;
+    this.frontier = frontier || null;
+    this.balance = balance;
+    this.representative = representative;
+    this.frontierBlock = json.frontierBlock || null;
+    this.pendingBlocks = pendingBlocks.slice();
+    this._tail = Promise.resolve();
+  }
+
+  /**
+   * Address of the account with the coin primary prefix.
+   */
+  get address(): string {
+    return this.api.encodeAddress(this.publicKey);
+  }
+
+  /**
+   * State of the account after the latest accepted block.
+   */
+  get state(): AccountState {
+    return {
+      frontier: this.frontier,
+      balance: this.balance,
+      representative: this.representative
+    };
+  }
+
+  /**
+   * State of the account after the latest pending block, which is the
+   * state the next block is signed on top of.
+   */
+  get pendingState(): AccountState {
+    const block = this.pendingBlocks[this.pendingBlocks.length - 1];
+    if (!block) {
+      return this.state;
+    }
+    return {
+      frontier: block.blockHash,
+      balance: block.blockData.balance,
+      representative: block.blockData.representative
+    };
+  }
+
+  /**
+   * Sign a block on top of the latest pending block, or the account
+   * frontier when there are no pending blocks.
+   * @param blockData block data, its `previousBlock` must be the frontier
+   * of `pendingState`
+   * @option commandOptions options for running the command
+   * @return an object with the block hash and signature
+   */
+  async signBlock(
+    blockData: BlockData,
+    commandOptions?: CommandOptions
+  ): Promise<{|
+    blockHash: string,
+    signature: string
+  |}> {
+    return this._serialize(async () => {
+      const { frontier } = this.pendingState;
+      if (!sameHash(blockData.previousBlock, frontier)) {
+        throw new Error(
+          `\`previousBlock\` must be the account frontier ${String(frontier)}`
+        );
+      }
+      const { blockHash, signature } = await this.api.signBlock(
+        this.path,
+        blockData,
+        commandOptions
+      );
+      this.pendingBlocks.push({ blockHash, signature, blockData });
+      return { blockHash, signature };
+    });
+  }
+
+  /**
+   * Sign a block sending funds from the account, see `BaseAPI#signSend`.
+   * @param params.amount amount (in raw) to send
+   * @param params.recipient address of the account to send the funds to
+   * @option commandOptions options for running the command
+   */
+  async signSend(
+    params: { amount: string, recipient: string },
+    commandOptions?: CommandOptions
+  ): Promise<SignedAccountBlock> {
+    const { amount, recipient } = params;
+    return this._signWith(accountState =>
+      this.api.signSend(
+        this.path,
+        { accountState, amount, recipient },
+        commandOptions
+      )
+    );
+  }
+
+  /**
+   * Sign a block receiving funds to the account, see `BaseAPI#signReceive`.
+   * @param params.amount amount (in raw) sent by the source block
+   * @param params.sourceBlock hash (in hex) of the block from which to receive the funds
+   * @option commandOptions options for running the command
+   */
+  async signReceive(
+    params: { amount: string, sourceBlock: string },
+    commandOptions?: CommandOptions
+  ): Promise<SignedAccountBlock> {
+    const { amount, sourceBlock } = params;
+    return this._signWith(accountState =>
+      this.api.signReceive(
+        this.path,
+        { accountState, amount, sourceBlock },
+        commandOptions
+      )
+    );
+  }
+
+  /**
+   * Sign a block changing the representative, see `BaseAPI#signChange`.
+   * @param params.representative address of the new representative
+   * @option commandOptions options for running the command
+   */
+  async signChange(
+    params: { representative: string },
+    commandOptions?: CommandOptions
+  ): Promise<SignedAccountBlock> {
+    const { representative } = params;
+    return this._signWith(accountState =>
+      this.api.signChange(
+        this.path,
+        { accountState, representative },
+        commandOptions
+      )
+    );
+  }
+
+  /**
+   * Accept a pending block, advancing the account state to it. As every
+   * pending block is signed on top of the previous one, the pending blocks
+   * before it are accepted too.
+   * @param blockHash hash (in hex) of the pending block
+   */
+  accept(blockHash: string) {
+    const index = this._pendingIndex(blockHash);
+    const accepted = this.pendingBlocks.splice(0, index + 1);
+    const { blockData, signature } = accepted[accepted.length - 1];
+    this.frontier = accepted[accepted.length - 1].blockHash;
+    this.balance = blockData.balance;
+    this.representative = blockData.representative;
+    this.frontierBlock = { blockData, signature };
+  }
+
+  /**
+   * Discard a pending block together with the pending blocks signed on top
+   * of it, so that the next block is signed on top of the block before it.
+   * Roll back only the blocks that were not published: if a discarded block
+   * still reaches the network, the next block signed in its place forks
+   * the account chain.
+   * @param blockHash hash (in hex) of the pending block, defaults to the
+   * first pending block
+   */
+  async rollback(blockHash?: string): Promise<void> {
+    return this._serialize(async () => {
+      const index = blockHash ? this._pendingIndex(blockHash) : 0;
+      this.pendingBlocks.splice(index);
+    });
+  }
+
+  /**
+   * Cache the latest pending block, or the frontier block of the account,
+   * in the device memory, so that the next block can be signed on top of it.
+   * When the frontier block was not signed through this account, it is
+   * looked up with the `getParentBlock` option of the API instance.
+   * @option commandOptions options for running the command
+   */
+  async cacheFrontier(commandOptions?: CommandOptions): Promise<void> {
+    return this._serialize(async () => {
+      const pending = this.pendingBlocks[this.pendingBlocks.length - 1];
+      const frontier = pending ? pending.blockHash : this.frontier;
+      if (!frontier) {
+        throw new Error("Account has not been opened yet");
+      }
+      let block = pending || this.frontierBlock;
+      if (!block) {
+        const { getParentBlock } = this.api.options;
+        block = getParentBlock
+          ? await getParentBlock(frontier, this.path)
+          : null;
+        if (block) {
+          this.frontierBlock = block;
+        }
+      }
+      if (!block) {
+        throw new Error(`Frontier block ${frontier} is not known`);
+      }
+      await this.api.cacheBlock(
+        this.path,
+        block.blockData,
+        block.signature,
+        commandOptions
+      );
+    });
+  }
+
+  /**
+   * Convert the account to a plain object that can be serialized as JSON.
+   */
+  toJSON(): AccountJSON {
+    return {
+      path: this.path,
+      publicKey: this.publicKey,
+      frontier: this.frontier,
+      balance: this.balance,
+      representative: this.representative,
+      frontierBlock: this.frontierBlock,
+      pendingBlocks: this.pendingBlocks.slice()
+    };
+  }
+
+  // Run the calls one at a time, so that each of them sees the state left
+  // by the ones before it.
+  _serialize<T>(f: () => Promise<T>): Promise<T> {
+    const result = this._tail.then(() => f());
+    this._tail = result.then(
+      () => undefined,
+      () => undefined
+    );
+    return result;
+  }
+
+  _signWith(
+    sign: (accountState: AccountState) => Promise<SignedAccountBlock>
+  ): Promise<SignedAccountBlock> {
+    return this._serialize(async () => {
+      const signed = await sign(this.pendingState);
+      const { blockHash, signature, blockData } = signed;
+      this.pendingBlocks.push({ blockHash, signature, blockData });
+      return signed;
+    });
+  }
+
+  _pendingIndex(blockHash: string): number {
+    const index = this.pendingBlocks.findIndex(b =>
+      sameHash(b.blockHash, blockHash)
+    );
+    if (index < 0) {
+      throw new Error(`Block ${blockHash} is not pending`);
+    }
+    return index;
+  }
+}
+
+function sameHash(a: ?string, b: ?string): boolean {
+  return (a || "").toUpperCase() == (b || "").toUpperCase();
+}
@@ -0,0 +1,100 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+type QueueEntry = {|
+  priority: number,
+  start: () => void
+|};
+
+const queues: WeakMap<Object, CommandQueue> = new WeakMap();
+
+/**
+ * Queue that runs the commands one at a time. Waiting commands with a
+ * higher priority run first, commands with the same priority run in the
+ * order they were added.
+ */
+export default class CommandQueue {
+  _waiting: QueueEntry[];
+  _running: boolean;
+
+  /**
+   * Name of the running command that was cancelled while the device was
+   * still processing it, usually waiting for the user to answer a prompt.
+   */
+  staleCommand: ?string;
+
+  /**
+   * Get the queue shared by all of the API instances using the transport.
+   */
+  static forTransport(transport: Object): CommandQueue {
+    let queue = queues.get(transport);
+    if (!queue) {
+      queue = new CommandQueue();
+      queues.set(transport, queue);
+    }
+    return queue;
+  }
+
+  constructor() {
+    this._waiting = [];
+    this._running = false;
+    this.staleCommand = null;
+  }
+
+  /**
+   * Number of commands that are waiting or running.
+   */
+  get depth(): number {
+    return this._waiting.length + (this._running ? 1 : 0);
+  }
+
+  /**
+   * Run the function once all of the commands before it have completed.
+   */
+  run<T>(f: () => Promise<T>, priority?: number = 0): Promise<T> {
+    return new Promise((resolve, reject) => {
+      const start = () => {
+        Promise.resolve()
+          .then(f)
+          .then(resolve, reject)
+          .then(() => {
+            this._running = false;
+            this._next();
+          });
+      };
+
+      let index = this._waiting.findIndex(e => e.priority < priority);
+      if (index < 0) {
+        index = this._waiting.length;
+      }
+      this._waiting.splice(index, 0, { priority, start });
+      this._next();
+    });
+  }
+
+  _next() {
+    if (this._running) {
+      return;
+    }
+    const entry = this._waiting.shift();
+    if (entry) {
+      this._running = true;
+      entry.start();
+    }
+  }
+}
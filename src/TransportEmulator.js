@@ -0,0 +1,359 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+import Transport from "@ledgerhq/hw-transport";
+import BIPPath from "bip32-path";
+import bigInt from "big-integer";
+import { blake2b } from "blakejs";
+import type { CoinConfig } from "./api";
+import { STATUS_CODES } from "./api";
+import { encodeAddress, hashStateBlock, verifyBlockSignature } from "./util";
+import { derivePublicKey, sign } from "./ed25519";
+
+const SW_OK = 0x9000;
+const SW_WRONG_LENGTH = 0x6700;
+const SW_INVALID_DATA = 0x6a80;
+const SW_INS_NOT_SUPPORTED = 0x6d00;
+const SW_CLA_NOT_SUPPORTED = 0x6e00;
+
+/**
+ * Description of an action the emulated device asks the user to confirm.
+ *
+ * @property {string} type either "getAddress" or "signBlock"
+ * @property {string} path BIP 32 path of the account
+ * @property {string} address address of the account
+ * @property {string?} blockHash hash (in hex) of the block being signed
+ * @property {string?} representative address of the representative of the
+ * block being signed, with the prefix selected by the `signBlock` P2 flags
+ *
+ * The emulator doesn't tell sends apart from the other blocks, so the
+ * recipient is not part of the prompt and the P2 flag selecting its
+ * prefix is ignored.
+ */
+export type EmulatorPrompt = {|
+  type: "getAddress" | "signBlock",
+  path: string,
+  address: string,
+  blockHash?: string,
+  representative?: string
+|};
+
+/**
+ * Options for configuring the emulated device.
+ *
+ * @property {string} seed 32 byte (in hex) seed from which all of the account keys are derived
+ * @property {CoinConfig?} coin configuration of the coin app that is open, defaults to Nano
+ * @property {string?} version version of the emulated app
+ * @property {boolean?} locked start in the locked state
+ * @property {function?} confirm called for every prompt, should return (a promise of) true to approve
+ * the action and false to reject it, approves everything by default
+ */
+export type EmulatorOptions = {
+  seed: string,
+  coin?: CoinConfig,
+  version?: string,
+  locked?: boolean,
+  confirm?: (prompt: EmulatorPrompt) => boolean | Promise<boolean>
+};
+
+class StatusWordError extends Error {
+  statusCode: number;
+
+  constructor(statusCode: number) {
+    super("Status word 0x" + statusCode.toString(16));
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * In-process emulation of a device running the Nano-family app. It
+ * implements the same APDUs as the real app and can be used in place
+ * of a real transport.
+ *
+ * Account keys are derived as the Blake2b-256 hash of the seed and the
+ * serialized BIP 32 path, so the accounts do not match the ones of a real
+ * device initialized with the same seed.
+ *
+ * @example
+ * import Nano, { TransportEmulator } from "hw-app-nano";
+ * const transport = new TransportEmulator({ seed: "00".repeat(32) });
+ * const nano = new Nano(transport);
+ */
+export default class TransportEmulator extends Transport<*> {
+  seed: Buffer;
+  coin: CoinConfig;
+  version: [number, number, number];
+  locked: boolean;
+  confirm: (prompt: EmulatorPrompt) => boolean | Promise<boolean>;
+  _cachedBlock: ?{|
+    publicKey: Buffer,
+    blockHash: Buffer
+  |};
+
+  constructor(options: EmulatorOptions) {
+    super();
+    if (!/^[0-9a-fA-F]{64}$/.test(options.seed)) {
+      throw new Error("`seed` must be a 64 character hex string");
+    }
+    this.seed = Buffer.from(options.seed, "hex");
+    this.coin = options.coin || {
+      coinName: "Nano",
+      addressPrimaryPrefix: "nano_",
+      addressSecondaryPrefix: "xrb_",
+      derivationPathTemplate: "44'/165'/{index}'",
+      unitName: "NANO",
+      unitDecimals: 30
+    };
+    const version = (options.version || "1.2.4").split(".").map(Number);
+    this.version = [version[0], version[1], version[2]];
+    this.locked = !!options.locked;
+    this.confirm = options.confirm || (() => true);
+    this._cachedBlock = null;
+  }
+
+  /**
+   * Lock the emulated device, all of the commands fail with
+   * `STATUS_CODES.SECURITY_STATUS_NOT_SATISFIED` until it is unlocked.
+   */
+  lock() {
+    this.locked = true;
+    this._cachedBlock = null;
+  }
+
+  /**
+   * Unlock the emulated device.
+   */
+  unlock() {
+    this.locked = false;
+  }
+
+  setScrambleKey() {}
+
+  close(): Promise<void> {
+    return Promise.resolve();
+  }
+
+  async exchange(apdu: Buffer): Promise<Buffer> {
+    let response;
+    let sw = SW_OK;
+    try {
+      response = await this._handle(apdu);
+    } catch (err) {
+      if (!(err instanceof StatusWordError)) {
+        throw err;
+      }
+      response = Buffer.alloc(0);
+      sw = err.statusCode;
+    }
+    const swBuf = Buffer.alloc(2);
+    swBuf.writeUInt16BE(sw, 0);
+    return Buffer.concat([response, swBuf]);
+  }
+
+  async _handle(apdu: Buffer): Promise<Buffer> {
+    if (apdu.length < 5 || apdu.length != 5 + apdu.readUInt8(4)) {
+      throw new StatusWordError(SW_WRONG_LENGTH);
+    }
+    const cla = apdu.readUInt8(0);
+    const ins = apdu.readUInt8(1);
+    const p1 = apdu.readUInt8(2);
+    const p2 = apdu.readUInt8(3);
+    const data = apdu.slice(5);
+
+    if (cla != 0xa1) {
+      throw new StatusWordError(SW_CLA_NOT_SUPPORTED);
+    }
+    if (this.locked) {
+      throw new StatusWordError(STATUS_CODES.SECURITY_STATUS_NOT_SATISFIED);
+    }
+
+    switch (ins) {
+      case 0x01:
+        return this._getAppConfiguration();
+      case 0x02:
+        return this._getAddress(data, p1 == 0x01);
+      case 0x03:
+        return this._cacheBlock(data);
+      case 0x04:
+        return this._signBlock(data, p2);
+      default:
+        throw new StatusWordError(SW_INS_NOT_SUPPORTED);
+    }
+  }
+
+  _getAppConfiguration(): Buffer {
+    const coinName = Buffer.from(this.coin.coinName, "ascii");
+    return Buffer.concat([
+      Buffer.from(this.version),
+      Buffer.from([coinName.length]),
+      coinName
+    ]);
+  }
+
+  async _getAddress(data: Buffer, boolDisplay: boolean): Promise<Buffer> {
+    const { path, ptr } = this._readPath(data);
+    if (ptr != data.length) {
+      throw new StatusWordError(SW_WRONG_LENGTH);
+    }
+    const publicKey = derivePublicKey(this._secretKey(path));
+    const address = Buffer.from(
+      encodeAddress(publicKey, this.coin.addressPrimaryPrefix),
+      "ascii"
+    );
+
+    if (boolDisplay) {
+      await this._prompt({
+        type: "getAddress",
+        path: BIPPath.fromPathArray(path).toString(),
+        address: address.toString("ascii")
+      });
+    }
+
+    return Buffer.concat([publicKey, Buffer.from([address.length]), address]);
+  }
+
+  async _cacheBlock(data: Buffer): Promise<Buffer> {
+    const { path, ptr } = this._readPath(data);
+    if (ptr + 32 + 32 + 32 + 16 + 64 != data.length) {
+      throw new StatusWordError(SW_WRONG_LENGTH);
+    }
+    const publicKey = derivePublicKey(this._secretKey(path));
+    const block = this._readBlock(data.slice(ptr));
+    const signature = data.slice(ptr + 32 + 32 + 32 + 16);
+    const blockHash = this._hashBlock(publicKey, block);
+
+    if (
+      !verifyBlockSignature(
+        blockHash.toString("hex"),
+        signature.toString("hex"),
+        publicKey.toString("hex")
+      )
+    ) {
+      throw new StatusWordError(STATUS_CODES.INVALID_SIGNATURE);
+    }
+
+    this._cachedBlock = { publicKey, blockHash };
+    return Buffer.alloc(0);
+  }
+
+  async _signBlock(data: Buffer, p2: number): Promise<Buffer> {
+    const { path, ptr } = this._readPath(data);
+    if (ptr + 32 + 32 + 32 + 16 != data.length) {
+      throw new StatusWordError(SW_WRONG_LENGTH);
+    }
+    const secretKey = this._secretKey(path);
+    const publicKey = derivePublicKey(secretKey);
+    const block = this._readBlock(data.slice(ptr));
+    const cached = this._cachedBlock;
+
+    const isOpenBlock = block.previousBlock.equals(Buffer.alloc(32));
+    if (
+      !isOpenBlock &&
+      (!cached ||
+        !cached.publicKey.equals(publicKey) ||
+        !cached.blockHash.equals(block.previousBlock))
+    ) {
+      throw new StatusWordError(STATUS_CODES.CACHE_MISS);
+    }
+
+    const blockHash = this._hashBlock(publicKey, block);
+    const representativePrefix =
+      p2 & 0x02
+        ? this.coin.addressSecondaryPrefix
+        : this.coin.addressPrimaryPrefix;
+    await this._prompt({
+      type: "signBlock",
+      path: BIPPath.fromPathArray(path).toString(),
+      address: encodeAddress(publicKey, this.coin.addressPrimaryPrefix),
+      blockHash: blockHash.toString("hex"),
+      representative: encodeAddress(block.representative, representativePrefix)
+    });
+
+    const signature = sign(blockHash, secretKey);
+    this._cachedBlock = { publicKey, blockHash };
+    return Buffer.concat([blockHash, signature]);
+  }
+
+  async _prompt(prompt: EmulatorPrompt) {
+    const approved = await this.confirm(prompt);
+    if (!approved) {
+      throw new StatusWordError(STATUS_CODES.CONDITIONS_OF_USE_NOT_SATISFIED);
+    }
+  }
+
+  _readPath(data: Buffer): {| path: number[], ptr: number |} {
+    if (data.length < 1) {
+      throw new StatusWordError(SW_WRONG_LENGTH);
+    }
+    const pathLength = data.readUInt8(0);
+    if (pathLength == 0 || pathLength > 10) {
+      throw new StatusWordError(SW_INVALID_DATA);
+    }
+    if (data.length < 1 + 4 * pathLength) {
+      throw new StatusWordError(SW_WRONG_LENGTH);
+    }
+    const path = [];
+    for (let i = 0; i < pathLength; i++) {
+      path.push(data.readUInt32BE(1 + 4 * i));
+    }
+    return { path, ptr: 1 + 4 * pathLength };
+  }
+
+  _readBlock(
+    data: Buffer
+  ): {|
+    previousBlock: Buffer,
+    link: Buffer,
+    representative: Buffer,
+    balance: any
+  |} {
+    return {
+      previousBlock: data.slice(0, 32),
+      link: data.slice(32, 64),
+      representative: data.slice(64, 96),
+      balance: bigInt(data.slice(96, 112).toString("hex"), 16)
+    };
+  }
+
+  _hashBlock(
+    publicKey: Buffer,
+    block: {
+      previousBlock: Buffer,
+      link: Buffer,
+      representative: Buffer,
+      balance: any
+    }
+  ): Buffer {
+    const hash = hashStateBlock(
+      publicKey.toString("hex"),
+      block.previousBlock.toString("hex"),
+      block.representative.toString("hex"),
+      block.balance.toString(),
+      block.link.toString("hex")
+    );
+    return Buffer.from(hash, "hex");
+  }
+
+  _secretKey(path: number[]): Buffer {
+    const buf = Buffer.alloc(4 * path.length);
+    path.forEach((segment, index) => {
+      buf.writeUInt32BE(segment, 4 * index);
+    });
+    return Buffer.from(blake2b(Buffer.concat([this.seed, buf]), null, 32));
+  }
+}
@@ -0,0 +1,106 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+import Transport from "@ledgerhq/hw-transport";
+
+/**
+ * A single recorded APDU exchange with the device.
+ *
+ * @property {number} cla instruction class
+ * @property {number} ins instruction code
+ * @property {number} p1 first instruction parameter
+ * @property {number} p2 second instruction parameter
+ * @property {string} data command data (in hex)
+ * @property {string} response response data (in hex) without the status word
+ * @property {number} status status word returned by the device
+ */
+export type APDUExchange = {|
+  cla: number,
+  ins: number,
+  p1: number,
+  p2: number,
+  data: string,
+  response: string,
+  status: number
+|};
+
+export function parseCommand(
+  apdu: Buffer
+): {|
+  cla: number,
+  ins: number,
+  p1: number,
+  p2: number,
+  data: string
+|} {
+  return {
+    cla: apdu.readUInt8(0),
+    ins: apdu.readUInt8(1),
+    p1: apdu.readUInt8(2),
+    p2: apdu.readUInt8(3),
+    data: apdu.slice(5).toString("hex")
+  };
+}
+
+/**
+ * Transport wrapper that records every APDU exchange going through it,
+ * so that the session can later be replayed with `TransportReplayer`.
+ *
+ * @example
+ * import Nano, { TransportRecorder } from "hw-app-nano";
+ * const recorder = new TransportRecorder(transport);
+ * const nano = new Nano(recorder);
+ * await nano.getAddress("44'/165'/0'");
+ * fs.writeFileSync("fixture.json", JSON.stringify(recorder));
+ */
+export default class TransportRecorder extends Transport<*> {
+  transport: Transport<*>;
+
+  /**
+   * The exchanges recorded so far.
+   */
+  exchanges: APDUExchange[];
+
+  constructor(transport: Transport<*>) {
+    super();
+    this.transport = transport;
+    this.exchanges = [];
+  }
+
+  setScrambleKey(key: string) {
+    this.transport.setScrambleKey(key);
+  }
+
+  close(): Promise<void> {
+    return this.transport.close();
+  }
+
+  async exchange(apdu: Buffer): Promise<Buffer> {
+    const response = await this.transport.exchange(apdu);
+    this.exchanges.push({
+      ...parseCommand(apdu),
+      response: response.slice(0, response.length - 2).toString("hex"),
+      status: response.readUInt16BE(response.length - 2)
+    });
+    return response;
+  }
+
+  toJSON(): APDUExchange[] {
+    return this.exchanges;
+  }
+}
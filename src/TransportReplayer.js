@@ -0,0 +1,97 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+import Transport from "@ledgerhq/hw-transport";
+import type { APDUExchange } from "./TransportRecorder";
+import { parseCommand } from "./TransportRecorder";
+
+function formatCommand(c: {
+  cla: number,
+  ins: number,
+  p1: number,
+  p2: number,
+  data: string
+}): string {
+  const hex = [c.cla, c.ins, c.p1, c.p2]
+    .map(v => ("0" + v.toString(16)).slice(-2))
+    .join("");
+  return hex + c.data;
+}
+
+/**
+ * Transport that serves the exchanges recorded with `TransportRecorder`.
+ * Any command that differs from the recorded one fails the exchange.
+ *
+ * @example
+ * import Nano, { TransportReplayer } from "hw-app-nano";
+ * const replayer = new TransportReplayer(require("./fixture.json"));
+ * const nano = new Nano(replayer);
+ * await nano.getAddress("44'/165'/0'");
+ * replayer.assertDone();
+ */
+export default class TransportReplayer extends Transport<*> {
+  exchanges: APDUExchange[];
+  _position: number;
+
+  constructor(exchanges: APDUExchange[]) {
+    super();
+    this.exchanges = exchanges;
+    this._position = 0;
+  }
+
+  setScrambleKey() {}
+
+  close(): Promise<void> {
+    return Promise.resolve();
+  }
+
+  async exchange(apdu: Buffer): Promise<Buffer> {
+    const command = parseCommand(apdu);
+    const expected = this.exchanges[this._position];
+    if (!expected) {
+      throw new Error(
+        `Unexpected APDU ${formatCommand(command)}, ` +
+          `all ${this.exchanges.length} recorded exchanges have been replayed`
+      );
+    }
+    if (formatCommand(command) != formatCommand(expected).toLowerCase()) {
+      throw new Error(
+        `APDU #${this._position} does not match the recording, ` +
+          `expected ${formatCommand(expected)}, got ${formatCommand(command)}`
+      );
+    }
+    this._position += 1;
+
+    const status = Buffer.alloc(2);
+    status.writeUInt16BE(expected.status, 0);
+    return Buffer.concat([Buffer.from(expected.response, "hex"), status]);
+  }
+
+  /**
+   * Throw if some of the recorded exchanges have not been replayed.
+   */
+  assertDone() {
+    const remaining = this.exchanges.length - this._position;
+    if (remaining > 0) {
+      throw new Error(
+        `${remaining} of ${this.exchanges.length} recorded exchanges ` +
+          "have not been replayed"
+      );
+    }
+  }
+}
@@ -17,8 +17,41 @@
 //@flow
 
 import type Transport from "@ledgerhq/hw-transport";
+import EventEmitter from "events";
 import BIPPath from "bip32-path";
-import { decodeAddress, encodeBalance } from "./util";
+import bigInt from "big-integer";
+import type { AddressError, RoundingMode } from "./util";
+import {
+  decodeAddress,
+  encodeAddress,
+  normalizeAddress,
+  validateAddress,
+  encodeBalance,
+  formatAmount,
+  parseAmount,
+  hashStateBlock,
+  verifyBlockSignature
+} from "./util";
+import type { FrontierProvider } from "./rpc";
+import type { SignatureStore } from "./guard";
+import { signatureStoreKey } from "./guard";
+import type { AppVersion } from "./version";
+import CommandQueue from "./CommandQueue";
+import { APP_CAPABILITIES, supportsCapability } from "./version";
+import {
+  AddressMismatchError,
+  CacheMissError,
+  CancelledError,
+  ConflictingBlockError,
+  DeviceLockedError,
+  InvalidBlockDataError,
+  InvalidSignatureError,
+  MalformedResponseError,
+  UnsupportedAppVersionError,
+  UserRejectedError,
+  WrongAppError,
+  fromTransportError
+} from "./errors";
 
 /**
  * An enum containing the common status codes returned via
@@ -54,12 +87,55 @@ export const STATUS_CODES = {
   CACHE_MISS: 0x6a82
 };
 
+/**
+ * Link field values (in hex) of the epoch blocks that upgrade the
+ * account chains to a new block version.
+ */
+export const EPOCH_LINKS = [
+  // "epoch v1 block"
+  "65706F636820763120626C6F636B000000000000000000000000000000000000",
+  // "epoch v2 block"
+  "65706F636820763220626C6F636B000000000000000000000000000000000000"
+];
+
+/**
+ * Reason why a block data field failed validation.
+ */
+export type BlockDataErrorCode =
+  | "required"
+  | "not-allowed"
+  | "bad-type"
+  | "bad-hex"
+  | "bad-length"
+  | "bad-number"
+  | "out-of-range"
+  | AddressError;
+
+/**
+ * Problem found in the block data by `validateBlockData`.
+ *
+ * @property {string} path name of the block data field with the problem
+ * @property {string} code reason why the field is invalid
+ * @property {string} message description of the problem
+ */
+export type BlockDataError = {|
+  path: string,
+  code: BlockDataErrorCode,
+  message: string
+|};
+
+/**
+ * Subtype of a state block.
+ */
+export type BlockSubtype = "open" | "receive" | "send" | "change" | "epoch";
+
 type OpenBlockData = {|
   previousBlock?: null,
   representative: string,
   balance: string,
   sourceBlock: string,
-  recipient?: null
+  recipient?: null,
+  link?: null
 |};
 
 type ReceiveBlockData = {|
@@ -67,7 +143,8 @@ type ReceiveBlockData = {|
   representative: string,
   balance: string,
   sourceBlock: string,
-  recipient?: null
+  recipient?: null,
+  link?: null
 |};
 
 type SendBlockData = {|
@@ -75,7 +152,8 @@ type SendBlockData = {|
   representative: string,
   balance: string,
   sourceBlock?: null,
-  recipient: string
+  recipient: string,
+  link?: null
 |};
 
 type ChangeBlockData = {|
@@ -83,7 +161,17 @@ type ChangeBlockData = {|
   representative: string,
   balance: string,
   sourceBlock?: null,
-  recipient?: null
+  recipient?: null,
+  link?: null
+|};
+
+type LinkBlockData = {|
+  previousBlock?: ?string,
+  representative: string,
+  balance: string,
+  sourceBlock?: null,
+  recipient?: null,
+  link: string
 |};
 
 /**
@@ -94,6 +182,7 @@ type ChangeBlockData = {|
  * @property {string} balance new account balance after the transaction
  * @property {string?} sourceBlock hash (in hex) of the block from which to receive the funds
  * @property {string?} recipient address of the account to send Nano to (both nano and xrb addresses are supported)
+ * @property {string?} link raw link field, either in hex or as an address, instead of `sourceBlock` or `recipient`
  *
  * @example <caption>Open block data</caption>
  * let openBlockData = {
@@ -124,27 +213,181 @@ type ChangeBlockData = {|
  *   representative: "xrb_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k",
  *   balance: "100000000000000000000000000000000"
  * };
+ *
+ * @example <caption>Epoch block data</caption>
+ * let epochBlockData = {
+ *   previousBlock: "991CF190094C00F0B68E2E5F75F6BEE95A2E0BD93CEAA4A6734DB9F19B728948",
+ *   representative: "xrb_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k",
+ *   balance: "100000000000000000000000000000000",
+ *   link: EPOCH_LINKS[1]
+ * };
  */
 export type BlockData =
   | OpenBlockData
   | ReceiveBlockData
   | SendBlockData
-  | ChangeBlockData;
+  | ChangeBlockData
+  | LinkBlockData;
 
 /**
  * Coin configuration object used to pass coin implementation details
  * to all the common API functions that the coins share.
+ *
+ * The `derivationPathTemplate` is a BIP 32 path where the `{index}`
+ * placeholder is replaced by the account index. The `unitDecimals` is the
+ * number of decimal places between raw and the `unitName` unit.
  */
 export type CoinConfig = {
   coinName: string,
   addressPrimaryPrefix: string,
-  addressSecondaryPrefix: string
+  addressSecondaryPrefix: string,
+  derivationPathTemplate: string,
+  unitName: string,
+  unitDecimals: number
+};
+
+/**
+ * Address of a single account derived from the coin derivation path template.
+ */
+export type DerivedAddress = {|
+  index: number,
+  path: string,
+  publicKey: string,
+  address: string
+|};
+
+/**
+ * State of an account chain after its latest block.
+ *
+ * @property {string?} frontier hash (in hex) of the latest block, null when
+ * the account has not been opened yet
+ * @property {string} balance account balance
+ * @property {string} representative address of the representative
+ */
+export type AccountState = {|
+  frontier: ?string,
+  balance: string,
+  representative: string
+|};
+
+/**
+ * Result of signing a block with one of the amount-based helpers.
+ */
+export type SignedAccountBlock = {|
+  blockHash: string,
+  signature: string,
+  blockData: BlockData,
+  accountState: AccountState
+|};
+
+/**
+ * Options for tuning the behaviour of the coin API instances.
+ *
+ * @property {boolean?} verifyBlockHash recompute the block hash on the host
+ * when signing and reject the signature if the device reported a different hash
+ * @property {boolean?} verifySignature verify every block signature against
+ * the account public key before returning it
+ * @property {ParentBlockProvider?} getParentBlock when the parent block is not
+ * in the device cache, look it up with this function, cache it and retry signing
+ * @property {boolean?} verifyAddress check that the address returned by the device
+ * matches the one derived on the host from the public key, enabled by default
+ * @property {SignatureStore?} signatureStore record the blocks signed on top of
+ * each previous block and refuse to sign a different one with `ConflictingBlockError`
+ */
+export type APIOptions = {
+  verifyAddress?: boolean,
+  verifyBlockHash?: boolean,
+  verifySignature?: boolean,
+  getParentBlock?: ParentBlockProvider,
+  signatureStore?: SignatureStore
+};
+
+/**
+ * Options accepted by the device commands of the coin API instances.
+ *
+ * @property {number?} priority commands with a higher priority run before the
+ * waiting commands with a lower priority, defaults to 0
+ * @property {number?} timeout number of milliseconds after which the command
+ * is rejected with `CancelledError`
+ * @property {AbortSignal?} signal signal for rejecting the command with `CancelledError`
+ *
+ * A command cancelled while the device is already processing it is rejected
+ * right away, but the device can't be interrupted: a prompt stays on the
+ * screen and the following commands on the transport wait until the user
+ * answers it. Such a command is reported by `getStaleCommand` and the
+ * `stale-command` event.
+ * @property {boolean?} allowFork sign the block even when the signature store
+ * has a different block signed on top of the same previous block
+ */
+export type CommandOptions = {
+  priority?: number,
+  timeout?: number,
+  signal?: ?AbortSignal,
+  allowFork?: boolean
+};
+
+/**
+ * Names of the device interaction events emitted by the coin API instances.
+ */
+export type DeviceEventName =
+  | "awaiting-confirmation"
+  | "confirmed"
+  | "rejected"
+  | "prompt-failed"
+  | "locked"
+  | "wrong-app"
+  | "disconnected"
+  | "stale-command";
+
+/**
+ * Payload of the device interaction events.
+ *
+ * @property {string?} command name of the command that caused the event,
+ * null when the device disconnected between commands
+ * @property {string?} path BIP 32 path the command was called with
+ * @property {Error?} error the error the command failed with
+ */
+export type DeviceEvent = {|
+  command: ?string,
+  path: ?string,
+  error?: Error
+|};
+
+/**
+ * State of the device reported while waiting for it to become ready.
+ */
+export type ReadyState = "locked" | "wrong-app" | "ready";
+
+// Called around the APDU exchanges that ask the user for a confirmation.
+type PromptHooks = {
+  onPrompt?: () => void,
+  onConfirmed?: () => void,
+  onFailed?: (error: Error) => void
 };
 
+/**
+ * Function that looks up the block data and signature of a block by its
+ * hash, resolving to null when the block is not known.
+ */
+export type ParentBlockProvider = (
+  blockHash: string,
+  path: string
+) => Promise<?{|
+  blockData: BlockData,
+  signature: string
+|}>;
+
 function addressPrefixes(coin: CoinConfig): string[] {
   return [coin.addressPrimaryPrefix, coin.addressSecondaryPrefix];
 }
 
+export function derivationPath(coin: CoinConfig, index: number): string {
+  if (!Number.isInteger(index) || index < 0 || index >= 0x80000000) {
+    throw new Error("`index` must be an integer between 0 and 2^31-1");
+  }
+  return coin.derivationPathTemplate.replace("{index}", String(index));
+}
+
 function badAddressReason(c: CoinConfig, field: string): string {
   const addrLen = 60;
   const pre1 = c.addressPrimaryPrefix;
@@ -160,16 +403,29 @@ function badAddressReason(c: CoinConfig, field: string): string {
   return `\`${field}\` ${msg}`;
 }
 
-function processBlockData(
-  c: CoinConfig,
-  b: BlockData
-): {|
+type ProcessedBlockData = {|
   representativePublicKey: Buffer,
-  recipientPublicKey: ?Buffer
-|} {
-  if (b.previousBlock && b.previousBlock.length != 64) {
-    throw new Error("`previousBlock` must be a 64 character hex string");
+  recipientPublicKey: ?Buffer,
+  link: string
+|};
+
+/**
+ * Validate the block data and decode its fields.
+ * @param c coin configuration
+ * @param b block data
+ * @param command name of the command reported by the thrown `InvalidBlockDataError`
+ * @return the representative and recipient public keys and the link (in hex)
+ */
+export function processBlockData(
+  c: CoinConfig,
+  b: BlockData,
+  command?: string = "processBlockData"
+): ProcessedBlockData {
+  const validation = validateBlockData(c, b);
+  if (!validation.valid) {
+    throw new InvalidBlockDataError(command, validation.errors);
   }
+
   const representativePublicKey = decodeAddress(
     b.representative,
     addressPrefixes(c)
@@ -177,38 +433,389 @@ function processBlockData(
   if (!representativePublicKey) {
     throw new Error(badAddressReason(c, "representative"));
   }
-  if (!/[0-9]+/.test(b.balance)) {
-    throw new Error("`balance` must be a number");
-  }
-  if (b.sourceBlock && b.sourceBlock.length != 64) {
-    throw new Error("`sourceBlock` must be a 64 character hex string");
-  }
   const recipientPublicKey = b.recipient
     ? decodeAddress(b.recipient, addressPrefixes(c))
     : null;
-  if (b.recipient && !recipientPublicKey) {
-    throw new Error(badAddressReason(c, "recipient"));
-  }
 
-  const isOpenBlock = !b.previousBlock && b.sourceBlock && !b.recipient;
-  const isReceiveBlock = b.previousBlock && b.sourceBlock && !b.recipient;
-  const isSendBlock = b.previousBlock && !b.sourceBlock && b.recipient;
-  const isChangeBlock = b.previousBlock && !b.sourceBlock && !b.recipient;
-  if (!isOpenBlock && !isReceiveBlock && !isSendBlock && !isChangeBlock) {
-    throw new Error("`blockData` optional field configuration is unsupported");
+  let link;
+  if (b.sourceBlock) {
+    link = b.sourceBlock;
+  } else if (recipientPublicKey) {
+    link = recipientPublicKey.toString("hex");
+  } else if (b.link) {
+    link = decodeLink(c, b.link);
+  } else {
+    link = "0".repeat(64);
   }
 
   return {
     representativePublicKey,
-    recipientPublicKey
+    recipientPublicKey,
+    link
   };
 }
 
+const MAX_BALANCE = bigInt(2).pow(128);
+
+function isSet(value: mixed): boolean {
+  return value != null && value !== "";
+}
+
+/**
+ * Validate the block data, collecting all of the problems in it.
+ * @param coin coin configuration
+ * @param blockData block data to validate
+ * @return an object with the list of problems when the block data is invalid
+ * @example
+ * validateBlockData(nano.coin, { representative: "", balance: "12abc" })
+ * // { valid: false, errors: [
+ * //   { path: "representative", code: "required", message: "..." },
+ * //   { path: "balance", code: "bad-number", message: "..." },
+ * //   ...
+ * // ] }
+ */
+export function validateBlockData(
+  coin: CoinConfig,
+  blockData: BlockData
+): {| valid: true |} | {| valid: false, errors: BlockDataError[] |} {
+  const b: { [field: string]: mixed } = (blockData: any) || {};
+  const prefixes = addressPrefixes(coin);
+  const errors: BlockDataError[] = [];
+  const fail = (path: string, code: BlockDataErrorCode, message: string) =>
+    errors.push({ path, code, message });
+
+  const checkHash = (field: string) => {
+    const value = b[field];
+    const message = `\`${field}\` must be a 64 character hex string`;
+    if (!isSet(value)) {
+      return;
+    } else if (typeof value != "string") {
+      fail(field, "bad-type", message);
+    } else if (!/^[0-9a-fA-F]*$/.test(value)) {
+      fail(field, "bad-hex", message);
+    } else if (value.length != 64) {
+      fail(field, "bad-length", message);
+    }
+  };
+  const checkAddress = (field: string) => {
+    const value = b[field];
+    const message = badAddressReason(coin, field);
+    if (!isSet(value)) {
+      return;
+    } else if (typeof value != "string") {
+      fail(field, "bad-type", message);
+    } else {
+      const result = validateAddress(value, prefixes);
+      if (!result.valid) {
+        fail(field, result.reason, message);
+      }
+    }
+  };
+
+  checkHash("previousBlock");
+  if (!isSet(b.representative)) {
+    fail("representative", "required", "`representative` is required");
+  } else {
+    checkAddress("representative");
+  }
+
+  const { balance } = b;
+  if (!isSet(balance)) {
+    fail("balance", "required", "`balance` is required");
+  } else if (typeof balance != "string") {
+    fail("balance", "bad-type", "`balance` must be a number");
+  } else if (!/^[0-9]+$/.test(balance)) {
+    fail("balance", "bad-number", "`balance` must be a number");
+  } else if (bigInt(balance).geq(MAX_BALANCE)) {
+    fail(
+      "balance",
+      "out-of-range",
+      `\`balance\` must be less than ${MAX_BALANCE.toString()}`
+    );
+  }
+
+  checkHash("sourceBlock");
+  checkAddress("recipient");
+  const { link } = b;
+  if (isSet(link)) {
+    const message =
+      "`link` must be either a 64 character hex string or an address";
+    if (typeof link != "string") {
+      fail("link", "bad-type", message);
+    } else if (/^[0-9a-fA-F]*$/.test(link)) {
+      if (link.length != 64) {
+        fail("link", "bad-length", message);
+      } else if (!isSet(b.previousBlock) && isZero(link)) {
+        fail(
+          "link",
+          "required",
+          "`link` must not be zero when `previousBlock` is not set"
+        );
+      }
+    } else if (prefixes.some(p => link.startsWith(p))) {
+      const result = validateAddress(link, prefixes);
+      if (!result.valid) {
+        fail("link", result.reason, message);
+      }
+    } else {
+      fail("link", "bad-hex", message);
+    }
+  }
+
+  const linkFields = ["sourceBlock", "recipient", "link"].filter(f =>
+    isSet(b[f])
+  );
+  linkFields.slice(1).forEach(f => {
+    fail(
+      f,
+      "not-allowed",
+      `\`${f}\` can't be combined with \`${linkFields[0]}\``
+    );
+  });
+  if (!isSet(b.previousBlock)) {
+    if (isSet(b.recipient)) {
+      fail(
+        "previousBlock",
+        "required",
+        "`previousBlock` is required when `recipient` is set"
+      );
+    } else if (!linkFields.length) {
+      fail(
+        "previousBlock",
+        "required",
+        "`previousBlock` is required when neither `sourceBlock` nor `link` is set"
+      );
+    }
+  }
+
+  return errors.length ? { valid: false, errors } : { valid: true };
+}
+
+function parseRawAmount(field: string, value: string): any {
+  if (!/^[0-9]+$/.test(value)) {
+    throw new Error(`\`${field}\` must be a number`);
+  }
+  return bigInt(value);
+}
+
+function isZero(hex: string): boolean {
+  return /^0+$/.test(hex);
+}
+
+function decodeLink(c: CoinConfig, link: string): string {
+  if (/^[0-9a-fA-F]{64}$/.test(link)) {
+    return link;
+  }
+  const publicKey = decodeAddress(link, addressPrefixes(c));
+  if (!publicKey) {
+    throw new Error(
+      "`link` must be either a 64 character hex string or an address"
+    );
+  }
+  return publicKey.toString("hex");
+}
+
+/**
+ * Determine the subtype of the block. Without the balance of the previous
+ * block, the subtype of blocks with a raw `link` is known only for the
+ * change and epoch blocks.
+ * @param coin coin configuration
+ * @param blockData block data
+ * @param previousBalance account balance before the block
+ * @return the block subtype
+ * @example
+ * blockSubtype(nano.coin, blockData, "1000000") == "send"
+ */
+export function blockSubtype(
+  coin: CoinConfig,
+  blockData: BlockData,
+  previousBalance?: ?string
+): BlockSubtype {
+  const b = blockData;
+  const { link } = processBlockData(coin, b, "blockSubtype");
+  if (b.sourceBlock) {
+    return b.previousBlock ? "receive" : "open";
+  } else if (b.recipient) {
+    return "send";
+  } else if (!b.link) {
+    return "change";
+  }
+
+  const isEpoch = EPOCH_LINKS.includes(link.toUpperCase());
+  if (!b.previousBlock) {
+    return isEpoch ? "epoch" : "open";
+  }
+  if (previousBalance != null) {
+    if (!/^[0-9]+$/.test(previousBalance)) {
+      throw new Error("`previousBalance` must be a number");
+    }
+    const change = bigInt(b.balance).compare(bigInt(previousBalance));
+    if (change < 0) {
+      return "send";
+    } else if (change > 0) {
+      return "receive";
+    }
+  }
+  if (isEpoch) {
+    return "epoch";
+  } else if (isZero(link)) {
+    return "change";
+  } else if (previousBalance != null) {
+    throw new Error(
+      "A block that doesn't change the balance must have a zero or an epoch `link`"
+    );
+  }
+  throw new Error(
+    "`previousBalance` must be known to tell apart sends from receives"
+  );
+}
+
+/**
+ * Compute the hash of the state block described by the block data.
+ * @param coin coin configuration
+ * @param accountPublicKey public key (in hex) of the account that owns the block
+ * @param blockData block data to hash
+ * @return hash (in hex) of the block
+ */
+export function hashBlock(
+  coin: CoinConfig,
+  accountPublicKey: string,
+  blockData: BlockData
+): string {
+  return hashProcessedBlock(
+    accountPublicKey,
+    blockData,
+    processBlockData(coin, blockData, "hashBlock")
+  );
+}
+
+function hashProcessedBlock(
+  accountPublicKey: string,
+  b: BlockData,
+  processed: ProcessedBlockData
+): string {
+  return hashStateBlock(
+    accountPublicKey,
+    b.previousBlock,
+    processed.representativePublicKey.toString("hex"),
+    b.balance,
+    processed.link
+  );
+}
+
+function withCancellation<T>(
+  command: string,
+  promise: Promise<T>,
+  commandOptions: CommandOptions,
+  onCancel: () => void
+): Promise<T> {
+  const { timeout, signal } = commandOptions;
+  if (!timeout && !signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const cleanup = () => {
+      if (timer) {
+        clearTimeout(timer);
+      }
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+    };
+    const cancel = (reason: "abort" | "timeout") => {
+      cleanup();
+      onCancel();
+      reject(new CancelledError(command, reason));
+    };
+    const onAbort = () => cancel("abort");
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener("abort", onAbort);
+      }
+    }
+    if (timeout) {
+      timer = setTimeout(() => cancel("timeout"), timeout);
+    }
+    promise.then(
+      value => {
+        cleanup();
+        resolve(value);
+      },
+      err => {
+        cleanup();
+        reject(err);
+      }
+    );
+  });
+}
+
+function sleep(
+  command: string,
+  ms: number,
+  signal: ?AbortSignal
+): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new CancelledError(command, "abort"));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener("abort", onAbort);
+      }
+    }
+  });
+}
+
+async function sendCommand(
+  coin: CoinConfig,
+  transport: Transport<*>,
+  command: string,
+  cla: number,
+  ins: number,
+  p1: number,
+  p2: number,
+  data: Buffer,
+  hooks?: PromptHooks = {}
+): Promise<Buffer> {
+  if (hooks.onPrompt) {
+    hooks.onPrompt();
+  }
+  let buf;
+  try {
+    buf = await transport.send(cla, ins, p1, p2, data);
+  } catch (err) {
+    const error = fromTransportError(command, coin.coinName, err);
+    if (hooks.onFailed) {
+      hooks.onFailed(error);
+    }
+    throw error;
+  }
+  if (hooks.onConfirmed) {
+    hooks.onConfirmed();
+  }
+  return buf;
+}
+
 export async function getAppConfiguration(
   coin: CoinConfig,
   transport: Transport<*>
 ): Promise<{|
   version: string,
+  versionInfo: AppVersion,
   coinName: string
 |}> {
   const cla = 0xa1;
@@ -219,7 +826,19 @@ export async function getAppConfiguration(
   let size = 0;
   let buf = Buffer.alloc(size);
 
-  buf = await transport.send(cla, ins, p1, p2, buf);
+  buf = await sendCommand(
+    coin,
+    transport,
+    "getAppConfiguration",
+    cla,
+    ins,
+    p1,
+    p2,
+    buf
+  );
+  if (buf.length < 3 + 2) {
+    throw new MalformedResponseError("getAppConfiguration");
+  }
   let ptr = 0;
 
   const versionMajor = buf.readUInt8(ptr);
@@ -230,9 +849,12 @@ export async function getAppConfiguration(
   ptr += 1;
 
   let coinName = "";
-  if (ptr < buf.length) {
+  if (ptr < buf.length - 2) {
     const coinNameLength = buf.readUInt8(ptr);
     ptr += 1 + coinNameLength;
+    if (ptr > buf.length - 2) {
+      throw new MalformedResponseError("getAppConfiguration");
+    }
     coinName = buf.slice(ptr - coinNameLength, ptr).toString("ascii");
   } else if (versionMajor == 1 && versionMinor == 0 && versionPatch == 0) {
     coinName = "Nano";
@@ -240,6 +862,11 @@ export async function getAppConfiguration(
 
   return {
     version: "" + versionMajor + "." + versionMinor + "." + versionPatch,
+    versionInfo: {
+      major: versionMajor,
+      minor: versionMinor,
+      patch: versionPatch
+    },
     coinName
   };
 }
@@ -248,7 +875,10 @@ export async function getAddress(
   coin: CoinConfig,
   transport: Transport<*>,
   path: string,
-  boolDisplay?: boolean
+  boolDisplay?: boolean,
+  expectedAddress?: ?string,
+  options: APIOptions = {},
+  hooks?: PromptHooks = {}
 ): Promise<{|
   publicKey: string,
   address: string
@@ -268,7 +898,20 @@ export async function getAddress(
     buf.writeUInt32BE(segment, 1 + 4 * index);
   });
 
-  buf = await transport.send(cla, ins, p1, p2, buf);
+  buf = await sendCommand(
+    coin,
+    transport,
+    "getAddress",
+    cla,
+    ins,
+    p1,
+    p2,
+    buf,
+    boolDisplay ? hooks : {}
+  );
+  if (buf.length < 32 + 1 + 2) {
+    throw new MalformedResponseError("getAddress");
+  }
   let ptr = 0;
 
   ptr += 32;
@@ -276,8 +919,31 @@ export async function getAddress(
 
   const addressLength = buf.readUInt8(ptr);
   ptr += 1 + addressLength;
+  if (ptr > buf.length - 2) {
+    throw new MalformedResponseError("getAddress");
+  }
   const address = buf.slice(ptr - addressLength, ptr).toString("ascii");
 
+  if (options.verifyAddress !== false) {
+    const prefix =
+      addressPrefixes(coin).find(p => address.startsWith(p)) ||
+      coin.addressPrimaryPrefix;
+    const hostAddress = encodeAddress(publicKey, prefix);
+    if (hostAddress != address) {
+      throw new AddressMismatchError("getAddress", hostAddress, address);
+    }
+  }
+  if (expectedAddress) {
+    const expected = validateAddress(expectedAddress, addressPrefixes(coin));
+    if (!expected.valid) {
+      throw new Error(badAddressReason(coin, "expectedAddress"));
+    }
+    const actual = validateAddress(address, addressPrefixes(coin));
+    if (!actual.valid || actual.publicKey != expected.publicKey) {
+      throw new AddressMismatchError("getAddress", expectedAddress, address);
+    }
+  }
+
   return {
     publicKey,
     address
@@ -288,16 +954,47 @@ export async function signBlock(
   coin: CoinConfig,
   transport: Transport<*>,
   path: string,
-  blockData: BlockData
+  blockData: BlockData,
+  options: APIOptions = {}
 ): Promise<{|
   blockHash: string,
   signature: string
 |}> {
-  const b = blockData;
-  const { representativePublicKey, recipientPublicKey } = processBlockData(
+  return signProcessedBlock(
     coin,
-    b
+    transport,
+    path,
+    blockData,
+    processBlockData(coin, blockData, "signBlock"),
+    options
   );
+}
+
+async function signProcessedBlock(
+  coin: CoinConfig,
+  transport: Transport<*>,
+  path: string,
+  b: BlockData,
+  processed: ProcessedBlockData,
+  options: APIOptions,
+  hooks?: PromptHooks = {}
+): Promise<{|
+  blockHash: string,
+  signature: string
+|}> {
+  const { representativePublicKey, link } = processed;
+
+  let accountPublicKey = null;
+  if (options.verifyBlockHash || options.verifySignature) {
+    ({ publicKey: accountPublicKey } = await getAddress(
+      coin,
+      transport,
+      path,
+      false,
+      null,
+      options
+    ));
+  }
 
   const bipPath = BIPPath.fromString(path).toPathArray();
 
@@ -306,7 +1003,8 @@ export async function signBlock(
   const p1 = 0x00;
   let p2 = 0x00;
   if (coin.addressPrimaryPrefix != coin.addressSecondaryPrefix) {
-    if (b.recipient && b.recipient.startsWith(coin.addressSecondaryPrefix)) {
+    const recipient = b.recipient || b.link;
+    if (recipient && recipient.startsWith(coin.addressSecondaryPrefix)) {
       p2 |= 0x01;
     }
     if (b.representative.startsWith(coin.addressSecondaryPrefix)) {
@@ -316,7 +1014,7 @@ export async function signBlock(
 
   let size = 1 + 4 * bipPath.length; // bipPath
   size += 32; // previousBlock
-  size += 32; // sourceBlock / recipient
+  size += 32; // link
   size += 32; // representative
   size += 16; // balance
 
@@ -336,18 +1034,53 @@ export async function signBlock(
     ptr += 32;
   }
 
-  if (b.sourceBlock) {
-    ptr += buf.write(b.sourceBlock, ptr, buf.length - ptr, "hex");
-  } else if (recipientPublicKey) {
-    ptr += recipientPublicKey.copy(buf, ptr);
-  } else {
-    ptr += 32;
-  }
+  ptr += buf.write(link, ptr, buf.length - ptr, "hex");
 
   ptr += representativePublicKey.copy(buf, ptr);
   ptr += buf.write(encodeBalance(b.balance), ptr, buf.length - ptr, "hex");
 
-  buf = await transport.send(cla, ins, p1, p2, buf);
+  const data = buf;
+  try {
+    buf = await sendCommand(
+      coin,
+      transport,
+      "signBlock",
+      cla,
+      ins,
+      p1,
+      p2,
+      data,
+      hooks
+    );
+  } catch (err) {
+    const { getParentBlock } = options;
+    if (
+      !(err instanceof CacheMissError) ||
+      !getParentBlock ||
+      !b.previousBlock
+    ) {
+      throw err;
+    }
+    const parent = await getParentBlock(b.previousBlock, path);
+    if (!parent) {
+      throw err;
+    }
+    await cacheBlock(coin, transport, path, parent.blockData, parent.signature);
+    buf = await sendCommand(
+      coin,
+      transport,
+      "signBlock",
+      cla,
+      ins,
+      p1,
+      p2,
+      data,
+      hooks
+    );
+  }
+  if (buf.length < 32 + 64 + 2) {
+    throw new MalformedResponseError("signBlock");
+  }
   ptr = 0;
 
   ptr += 32;
@@ -356,6 +1089,26 @@ export async function signBlock(
   ptr += 64;
   const signature = buf.slice(ptr - 64, ptr).toString("hex");
 
+  if (accountPublicKey && options.verifyBlockHash) {
+    const expectedHash = hashProcessedBlock(accountPublicKey, b, processed);
+    if (expectedHash.toLowerCase() != blockHash.toLowerCase()) {
+      throw new MalformedResponseError(
+        "signBlock",
+        `Device returned block hash ${blockHash}, ` +
+          `expected ${expectedHash} instead`
+      );
+    }
+  }
+  if (accountPublicKey && options.verifySignature) {
+    if (!verifyBlockSignature(blockHash, signature, accountPublicKey)) {
+      throw new InvalidSignatureError(
+        "signBlock",
+        null,
+        `Device returned an invalid signature for block ${blockHash}`
+      );
+    }
+  }
+
   return {
     blockHash,
     signature
@@ -369,13 +1122,27 @@ export async function cacheBlock(
   blockData: BlockData,
   signature: string
 ): Promise<*> {
-  const b = blockData;
-  const { representativePublicKey, recipientPublicKey } = processBlockData(
+  return cacheProcessedBlock(
     coin,
-    b
+    transport,
+    path,
+    blockData,
+    processBlockData(coin, blockData, "cacheBlock"),
+    signature
   );
+}
+
+async function cacheProcessedBlock(
+  coin: CoinConfig,
+  transport: Transport<*>,
+  path: string,
+  b: BlockData,
+  processed: ProcessedBlockData,
+  signature: string
+): Promise<*> {
+  const { representativePublicKey, link } = processed;
 
-  if (signature.length != 128) {
+  if (!/^[0-9a-fA-F]{128}$/.test(signature)) {
     throw new Error("`signature` must be a 128 character hex string");
   }
 
@@ -388,7 +1155,7 @@ export async function cacheBlock(
 
   let size = 1 + 4 * bipPath.length; // bipPath
   size += 32; // previousBlock
-  size += 32; // sourceBlock / recipient
+  size += 32; // link
   size += 32; // representative
   size += 16; // balance
   size += 64; // signature
@@ -409,19 +1176,13 @@ export async function cacheBlock(
     ptr += 32;
   }
 
-  if (b.sourceBlock) {
-    ptr += buf.write(b.sourceBlock, ptr, buf.length - ptr, "hex");
-  } else if (recipientPublicKey) {
-    ptr += recipientPublicKey.copy(buf, ptr);
-  } else {
-    ptr += 32;
-  }
+  ptr += buf.write(link, ptr, buf.length - ptr, "hex");
 
   ptr += representativePublicKey.copy(buf, ptr);
   ptr += buf.write(encodeBalance(b.balance), ptr, buf.length - ptr, "hex");
   ptr += buf.write(signature, ptr, buf.length - ptr, "hex");
 
-  await transport.send(cla, ins, p1, p2, buf);
+  await sendCommand(coin, transport, "cacheBlock", cla, ins, p1, p2, buf);
 }
 
 /**
@@ -429,46 +1190,1018 @@ export async function cacheBlock(
  */
 export class BaseAPI {
   transport: Transport<*>;
-  _appCoin: ?string;
+  _appVersion: ?AppVersion;
 
   /**
    * The coin configuration object for the current coin.
    */
   coin: CoinConfig;
 
-  constructor(transport: Transport<*>, coin: CoinConfig) {
+  /**
+   * The options the instance was created with.
+   */
+  options: APIOptions;
+
+  _queue: CommandQueue;
+  _activeCommand: ?{| command: string, path: ?string |};
+  _events = new EventEmitter();
+
+  constructor(
+    transport: Transport<*>,
+    coin: CoinConfig,
+    options?: APIOptions = {}
+  ) {
     transport.setScrambleKey("mRB");
     this.transport = transport;
     this.coin = coin;
+    this.options = options;
+    this._queue = CommandQueue.forTransport(transport);
+    this._activeCommand = null;
   }
 
-  _assertCorrectCoin() {
-    const appCoin = this._appCoin;
-    if (typeof appCoin === "string" && appCoin != this.coin.coinName) {
-      throw new Error(
-        `Expected ${this.coin.coinName} app to be open, ` +
-          `found ${appCoin} app open instead`
-      );
+  /**
+   * Listen to the device interaction events of this instance:
+   *
+   * - `awaiting-confirmation` the device is showing a prompt to the user
+   * - `confirmed` the user approved the prompt
+   * - `rejected` the user rejected the prompt
+   * - `prompt-failed` the device failed the command without a prompt or
+   *   the prompt was interrupted, for example by a missing parent block
+   *   in the device cache or by a disconnect
+   * - `locked` the command failed because the device is locked
+   * - `wrong-app` the command failed because of the app open on the device
+   * - `disconnected` the transport reported that the device was
+   *   disconnected, with the command of this instance that was running
+   * - `stale-command` the command was cancelled while the device was still
+   *   processing it, see `getStaleCommand`
+   *
+   * Every `awaiting-confirmation` is followed by exactly one of `confirmed`,
+   * `rejected` or `prompt-failed`. When signing has to cache the parent
+   * block first, `awaiting-confirmation` is emitted again for the retried
+   * signing.
+   * @param eventName name of the event
+   * @param cb listener called with a `DeviceEvent`
+   * @example
+   * nano.on("awaiting-confirmation", () => showMessage("Check your Ledger"));
+   */
+  on(eventName: DeviceEventName, cb: (event: DeviceEvent) => void) {
+    if (eventName == "disconnected" && !this._events.listenerCount(eventName)) {
+      this.transport.on("disconnect", this._onDisconnect);
     }
+    this._events.on(eventName, cb);
   }
 
   /**
-   * Get Nano-family application configuration. The returned coinName should be
-   * verified to match that of `inst.coin.coinName`. If it doesn't, then the user
-   * has the wrong application open on their device and other API calls will fail.
-   * @return an object with a version and the coin name
+   * Stop listening to a device interaction event.
+   * @param eventName name of the event
+   * @param cb listener previously passed to `on`
+   */
+  off(eventName: DeviceEventName, cb: (event: DeviceEvent) => void) {
+    this._events.removeListener(eventName, cb);
+    if (eventName == "disconnected" && !this._events.listenerCount(eventName)) {
+      this.transport.off("disconnect", this._onDisconnect);
+    }
+  }
+
+  _emit(eventName: DeviceEventName, event: DeviceEvent) {
+    this._events.emit(eventName, event);
+  }
+
+  // The transport event is the only source of `disconnected`, the
+  // disconnect errors of the running command are not reported again.
+  _onDisconnect = () => {
+    const active = this._activeCommand;
+    this._emit("disconnected", {
+      command: active ? active.command : null,
+      path: active ? active.path : null
+    });
+  };
+
+  _emitError(command: string, path: ?string, error: Error) {
+    const event = { command, path, error };
+    if (error instanceof DeviceLockedError) {
+      this._emit("locked", event);
+    } else if (error instanceof WrongAppError) {
+      this._emit("wrong-app", event);
+    }
+  }
+
+  // A cancelled command is rejected right away, but the queue is held until
+  // the APDU exchange that is already in flight completes, so that the
+  // following commands don't interleave with it.
+  _runCommand<T>(
+    command: string,
+    commandOptions: ?CommandOptions,
+    f: (hooks: PromptHooks) => Promise<T>,
+    info?: { path?: string, assertApp?: boolean } = {}
+  ): Promise<T> {
+    const { path, assertApp = true } = info;
+    const hooks = {
+      onPrompt: () => this._emit("awaiting-confirmation", { command, path }),
+      onConfirmed: () => this._emit("confirmed", { command, path }),
+      onFailed: (error: Error) =>
+        this._emit(
+          error instanceof UserRejectedError ? "rejected" : "prompt-failed",
+          { command, path, error }
+        )
+    };
+    const opts = commandOptions || {};
+    let cancelled = false;
+    let running = false;
+    const assertNotCancelled = () => {
+      if (cancelled) {
+        throw new CancelledError(command, "abort");
+      }
+    };
+
+    const task = this._queue.run(async () => {
+      assertNotCancelled();
+      try {
+        if (assertApp) {
+          await this._assertCorrectCoin(command);
+          assertNotCancelled();
+        }
+        running = true;
+        this._activeCommand = { command, path };
+        return await f(hooks);
+      } catch (err) {
+        this._emitError(command, path, err);
+        throw err;
+      } finally {
+        running = false;
+        this._activeCommand = null;
+        if (cancelled) {
+          this._queue.staleCommand = null;
+        }
+      }
+    }, opts.priority || 0);
+
+    return withCancellation(command, task, opts, () => {
+      cancelled = true;
+      if (running) {
+        this._queue.staleCommand = command;
+        this._emit("stale-command", { command, path });
+      }
+    });
+  }
+
+  /**
+   * Get the number of device commands that are waiting or running on
+   * the transport, including the ones of other instances sharing it.
+   */
+  getQueueDepth(): number {
+    return this._queue.depth;
+  }
+
+  /**
+   * Get the name of the cancelled command that the device is still
+   * processing, including the ones of other instances sharing the
+   * transport. The following commands wait until it completes, which
+   * for a prompt means until the user answers it on the device.
+   * @return the command name, or null when there is no such command
+   * @example
+   * if (nano.getStaleCommand()) {
+   *   showMessage("Approve or reject the pending request on your Ledger");
+   * }
+   */
+  getStaleCommand(): ?string {
+    return this._queue.staleCommand;
+  }
+
+  async _assertCorrectCoin(
+    command: string,
+    capability: ?string = command
+  ): Promise<{|
+    version: string,
+    versionInfo: AppVersion,
+    coinName: string
+  |}> {
+    const appConf = await this._getAppConfiguration();
+    const { version, coinName } = appConf;
+    if (!coinName && !this.supports("coinName")) {
+      throw this._updateAppError(command, "coinName", version);
+    }
+    if (coinName != this.coin.coinName) {
+      throw new WrongAppError(command, this.coin.coinName, coinName);
+    }
+    if (capability && !this.supports(capability)) {
+      throw this._updateAppError(command, capability, version);
+    }
+    return appConf;
+  }
+
+  _updateAppError(
+    command: string,
+    capability: string,
+    version: string
+  ): UnsupportedAppVersionError {
+    return new UnsupportedAppVersionError(
+      command,
+      null,
+      `Please update the ${this.coin.coinName} app to version ` +
+        `${APP_CAPABILITIES[capability]} or later, ` +
+        `found version ${version} instead`
+    );
+  }
+
+  /**
+   * Check whether the app on the device supports a capability. The app
+   * version is known after `getAppConfiguration` or any command has been
+   * called, before that no capabilities are reported as supported.
+   * @param capability name of the capability, see `APP_CAPABILITIES`
+   * @return true when the capability is supported
+   * @example
+   * inst.getAppConfiguration().then(() => inst.supports("cacheBlock"))
+   */
+  supports(capability: string): boolean {
+    const version = this._appVersion;
+    return !!version && supportsCapability(version, capability);
+  }
+
+  /**
+   * Get Nano-family application configuration. If the returned coinName doesn't
+   * match that of `inst.coin.coinName`, then the user has the wrong application
+   * open on their device and other API calls will fail with `WrongAppError`.
+   * @option commandOptions options for running the command
+   * @return an object with a version (both as a string and parsed) and the coin name
    * @example
    * inst.getAppConfiguration().then(c => {
    *   if (c.coinName != inst.coin.coinName) { throw new Error("Wrong coin app"); }
    *   return c.version;
    * })
    */
-  async getAppConfiguration(): Promise<{|
+  async getAppConfiguration(
+    commandOptions?: CommandOptions
+  ): Promise<{|
+    version: string,
+    versionInfo: AppVersion,
+    coinName: string
+  |}> {
+    return this._runCommand(
+      "getAppConfiguration",
+      commandOptions,
+      () => this._getAppConfiguration(),
+      { assertApp: false }
+    );
+  }
+
+  /**
+   * Wait until the device is unlocked and the app of this coin is open on it.
+   * The app configuration is polled until then, other errors are thrown
+   * right away.
+   * @option options.timeout number of milliseconds after which to give up
+   * with `CancelledError`
+   * @option options.interval number of milliseconds between the polls,
+   * defaults to 1000
+   * @option options.signal signal for giving up with `CancelledError`
+   * @option options.onState called after every poll with the state of the
+   * device ("locked", "wrong-app" or "ready") and the error of the poll
+   * @return the app configuration
+   * @example
+   * nano.waitForReady({
+   *   timeout: 60000,
+   *   onState: state => {
+   *     if (state == "locked") showMessage("Unlock your Ledger");
+   *     if (state == "wrong-app") showMessage("Open the Nano app");
+   *   }
+   * }).then(c => c.version)
+   */
+  async waitForReady(
+    options: {
+      timeout?: number,
+      interval?: number,
+      signal?: ?AbortSignal,
+      onState?: (state: ReadyState, error: ?Error) => void
+    } = {}
+  ): Promise<{|
+    version: string,
+    versionInfo: AppVersion,
+    coinName: string
+  |}> {
+    const { timeout, interval = 1000, signal, onState } = options;
+    const deadline = timeout ? Date.now() + timeout : 0;
+    const command = "waitForReady";
+
+    let appConf = null;
+    for (let attempt = 0; !appConf; attempt++) {
+      if (attempt > 0) {
+        const wait = deadline
+          ? Math.min(interval, deadline - Date.now())
+          : interval;
+        if (deadline && wait <= 0) {
+          throw new CancelledError(command, "timeout");
+        }
+        await sleep(command, wait, signal);
+      }
+
+      let state = "ready";
+      let error = null;
+      try {
+        appConf = await this._runCommand(
+          command,
+          { signal, timeout: deadline ? deadline - Date.now() : 0 },
+          () => this._assertCorrectCoin(command, null),
+          { assertApp: false }
+        );
+      } catch (err) {
+        if (err instanceof DeviceLockedError) {
+          state = "locked";
+        } else if (err instanceof WrongAppError) {
+          state = "wrong-app";
+        } else {
+          throw err;
+        }
+        error = err;
+      }
+      if (onState) {
+        onState(state, error);
+      }
+    }
+    return appConf;
+  }
+
+  async _getAppConfiguration(): Promise<{|
     version: string,
+    versionInfo: AppVersion,
     coinName: string
   |}> {
     let appConf = await getAppConfiguration(this.coin, this.transport);
-    this._appCoin = appConf.coinName;
+    this._appVersion = appConf.versionInfo;
     return appConf;
   }
+
+  /**
+   * Get the account address for the given BIP 32 path.
+   * @param path a path in BIP 32 format
+   * @option boolDisplay display the address on the device
+   * @option expectedAddress address that the device is expected to return
+   * @option commandOptions options for running the command
+   * @return an object with a publicKey and address
+   * @example
+   * nano.getAddress("44'/165'/0'").then(o => o.address)
+   */
+  async getAddress(
+    path: string,
+    boolDisplay?: boolean,
+    expectedAddress?: ?string,
+    commandOptions?: CommandOptions
+  ): Promise<{|
+    publicKey: string,
+    address: string
+  |}> {
+    return this._runCommand(
+      "getAddress",
+      commandOptions,
+      hooks =>
+        getAddress(
+          this.coin,
+          this.transport,
+          path,
+          boolDisplay,
+          expectedAddress,
+          this.options,
+          hooks
+        ),
+      { path }
+    );
+  }
+
+  /**
+   * Generate a signature for a block
+   * @param path a path of the account in BIP 32 format
+   * @param blockData block data to hash and sign
+   * @option commandOptions options for running the command
+   *
+   * @example <caption>Opening an account</caption>
+   * nano.signBlock("44'/165'/0'", {
+   *   representative: "xrb_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k",
+   *   balance: "100000000000000000000000000000000",
+   *   sourceBlock: "06B95C8A7EC4116E5BD907CD6DC65D310E065992A2E1D02F337D1A8308DEBC14"
+   * }).then(o => o.signature)
+   *
+   * @example <caption>Sending funds</caption>
+   * nano.signBlock("44'/165'/0'", {
+   *   previousBlock: "991CF190094C00F0B68E2E5F75F6BEE95A2E0BD93CEAA4A6734DB9F19B728948",
+   *   representative: "xrb_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k",
+   *   balance: "100000000000000000000000000000000",
+   *   recipient: "nano_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k"
+   * }).then(o => o.signature)
+   */
+  async signBlock(
+    path: string,
+    blockData: BlockData,
+    commandOptions?: CommandOptions
+  ): Promise<{|
+    blockHash: string,
+    signature: string
+  |}> {
+    const processed = processBlockData(this.coin, blockData, "signBlock");
+    const allowFork = !!commandOptions && !!commandOptions.allowFork;
+    return this._runCommand(
+      "signBlock",
+      commandOptions,
+      hooks =>
+        this._guardedSignBlock(path, blockData, processed, allowFork, hooks),
+      { path }
+    );
+  }
+
+  // The block is recorded in the signature store before it is sent to the
+  // device, so that another instance sharing the store can't sign a
+  // conflicting block while this one waits for the user confirmation.
+  async _guardedSignBlock(
+    path: string,
+    blockData: BlockData,
+    processed: ProcessedBlockData,
+    allowFork: boolean,
+    hooks: PromptHooks
+  ): Promise<{|
+    blockHash: string,
+    signature: string
+  |}> {
+    const store = this.options.signatureStore;
+    if (!store) {
+      return signProcessedBlock(
+        this.coin,
+        this.transport,
+        path,
+        blockData,
+        processed,
+        this.options,
+        hooks
+      );
+    }
+
+    const { publicKey } = await getAddress(
+      this.coin,
+      this.transport,
+      path,
+      false,
+      null,
+      this.options
+    );
+    const blockHash = hashProcessedBlock(publicKey, blockData, processed);
+    const key = signatureStoreKey(publicKey, blockData.previousBlock);
+    let signedBlockHash;
+    if (store.setIfAbsent) {
+      signedBlockHash = await store.setIfAbsent(key, blockHash);
+    } else {
+      signedBlockHash = await store.get(key);
+      if (!signedBlockHash) {
+        await store.set(key, blockHash);
+      }
+    }
+    const conflict =
+      !!signedBlockHash &&
+      signedBlockHash.toUpperCase() != blockHash.toUpperCase();
+    if (signedBlockHash && conflict && !allowFork) {
+      throw new ConflictingBlockError(
+        "signBlock",
+        blockData.previousBlock || "0".repeat(64),
+        signedBlockHash,
+        blockHash
+      );
+    }
+
+    let result;
+    try {
+      result = await signProcessedBlock(
+        this.coin,
+        this.transport,
+        path,
+        blockData,
+        processed,
+        this.options,
+        hooks
+      );
+    } catch (err) {
+      if (!signedBlockHash) {
+        await store.delete(key);
+      }
+      throw err;
+    }
+    if (conflict) {
+      await store.set(key, result.blockHash);
+    }
+    return result;
+  }
+
+  /**
+   * Cache block in Ledger device memory
+   * @param path a path of the account in BIP 32 format
+   * @param blockData block data
+   * @param signature signature (in hex) of the block
+   * @option commandOptions options for running the command
+   *
+   * @example
+   * nano.cacheBlock("44'/165'/0'", {
+   *   representative: "xrb_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k",
+   *   balance: "100000000000000000000000000000000",
+   *   sourceBlock: "06B95C8A7EC4116E5BD907CD6DC65D310E065992A2E1D02F337D1A8308DEBC14"
+   * });
+   */
+  async cacheBlock(
+    path: string,
+    blockData: BlockData,
+    signature: string,
+    commandOptions?: CommandOptions
+  ): Promise<*> {
+    const processed = processBlockData(this.coin, blockData, "cacheBlock");
+    return this._runCommand(
+      "cacheBlock",
+      commandOptions,
+      () =>
+        cacheProcessedBlock(
+          this.coin,
+          this.transport,
+          path,
+          blockData,
+          processed,
+          signature
+        ),
+      { path }
+    );
+  }
+
+  /**
+   * Sign a block sending funds from the account. The new balance is
+   * computed from the current account state.
+   * @param path a path of the account in BIP 32 format
+   * @param params.accountState current state of the account
+   * @param params.amount amount (in raw) to send
+   * @param params.recipient address of the account to send the funds to
+   * @option commandOptions options for running the command
+   * @return the signature, block data and the new account state
+   * @example
+   * nano.signSend("44'/165'/0'", {
+   *   accountState,
+   *   amount: nano.parseAmount("1.5"),
+   *   recipient: "nano_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k"
+   * }).then(o => { accountState = o.accountState; })
+   */
+  async signSend(
+    path: string,
+    params: {
+      accountState: AccountState,
+      amount: string,
+      recipient: string
+    },
+    commandOptions?: CommandOptions
+  ): Promise<SignedAccountBlock> {
+    const { accountState, amount } = params;
+    const recipient: string = params.recipient;
+    const { frontier, representative } = accountState;
+    if (!frontier) {
+      throw new Error("Can't send from an account that has not been opened");
+    }
+    const value = parseRawAmount("amount", amount);
+    const balance = parseRawAmount(
+      "accountState.balance",
+      accountState.balance
+    );
+    if (value.isZero()) {
+      throw new Error("`amount` must be greater than zero");
+    }
+    if (value.greater(balance)) {
+      throw new Error(
+        `\`amount\` ${amount} exceeds the account balance ${balance.toString()}`
+      );
+    }
+    const blockData = {
+      previousBlock: frontier,
+      representative,
+      balance: balance.minus(value).toString(),
+      recipient
+    };
+    return this._signAccountBlock(path, blockData, commandOptions);
+  }
+
+  /**
+   * Sign a block receiving funds to the account, opening the account when
+   * it has no frontier yet. The new balance is computed from the current
+   * account state.
+   * @param path a path of the account in BIP 32 format
+   * @param params.accountState current state of the account
+   * @param params.amount amount (in raw) sent by the source block
+   * @param params.sourceBlock hash (in hex) of the block from which to receive the funds
+   * @option commandOptions options for running the command
+   * @return the signature, block data and the new account state
+   * @example <caption>Opening an account</caption>
+   * nano.signReceive("44'/165'/0'", {
+   *   accountState: {
+   *     frontier: null,
+   *     balance: "0",
+   *     representative: "nano_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k"
+   *   },
+   *   amount: "100000000000000000000000000000000",
+   *   sourceBlock: "06B95C8A7EC4116E5BD907CD6DC65D310E065992A2E1D02F337D1A8308DEBC14"
+   * }).then(o => { accountState = o.accountState; })
+   */
+  async signReceive(
+    path: string,
+    params: {
+      accountState: AccountState,
+      amount: string,
+      sourceBlock: string
+    },
+    commandOptions?: CommandOptions
+  ): Promise<SignedAccountBlock> {
+    const { accountState, amount } = params;
+    const sourceBlock: string = params.sourceBlock;
+    const { frontier, representative } = accountState;
+    const value = parseRawAmount("amount", amount);
+    const balance = parseRawAmount(
+      "accountState.balance",
+      accountState.balance
+    );
+    if (value.isZero()) {
+      throw new Error("`amount` must be greater than zero");
+    }
+    const newBalance = balance.plus(value).toString();
+    let blockData;
+    if (frontier) {
+      const previousBlock: string = frontier;
+      blockData = {
+        previousBlock,
+        representative,
+        balance: newBalance,
+        sourceBlock
+      };
+    } else {
+      blockData = { representative, balance: newBalance, sourceBlock };
+    }
+    return this._signAccountBlock(path, blockData, commandOptions);
+  }
+
+  /**
+   * Sign a block changing the representative of the account.
+   * @param path a path of the account in BIP 32 format
+   * @param params.accountState current state of the account
+   * @param params.representative address of the new representative
+   * @option commandOptions options for running the command
+   * @return the signature, block data and the new account state
+   * @example
+   * nano.signChange("44'/165'/0'", {
+   *   accountState,
+   *   representative: "nano_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k"
+   * }).then(o => { accountState = o.accountState; })
+   */
+  async signChange(
+    path: string,
+    params: {
+      accountState: AccountState,
+      representative: string
+    },
+    commandOptions?: CommandOptions
+  ): Promise<SignedAccountBlock> {
+    const { accountState, representative } = params;
+    const { frontier } = accountState;
+    if (!frontier) {
+      throw new Error(
+        "Can't change the representative of an account that has not been opened"
+      );
+    }
+    parseRawAmount("accountState.balance", accountState.balance);
+    const blockData = {
+      previousBlock: frontier,
+      representative,
+      balance: accountState.balance
+    };
+    return this._signAccountBlock(path, blockData, commandOptions);
+  }
+
+  async _signAccountBlock(
+    path: string,
+    blockData: BlockData,
+    commandOptions?: CommandOptions
+  ): Promise<SignedAccountBlock> {
+    const { blockHash, signature } = await this.signBlock(
+      path,
+      blockData,
+      commandOptions
+    );
+    return {
+      blockHash,
+      signature,
+      blockData,
+      accountState: {
+        frontier: blockHash,
+        balance: blockData.balance,
+        representative: blockData.representative
+      }
+    };
+  }
+
+  /**
+   * Get the BIP 32 path of the account with the given index.
+   * @param index account index
+   * @return a path in BIP 32 format
+   * @example
+   * nano.derivationPath(1) == "44'/165'/1'"
+   */
+  derivationPath(index: number): string {
+    return derivationPath(this.coin, index);
+  }
+
+  /**
+   * Encode a public key as an address with the coin primary prefix.
+   * @param publicKey public key (in hex)
+   * @return the address
+   */
+  encodeAddress(publicKey: string): string {
+    return encodeAddress(publicKey, this.coin.addressPrimaryPrefix);
+  }
+
+  /**
+   * Validate an address of the coin.
+   * @param address address to validate
+   * @return an object with the public key (in hex) when the address is valid,
+   * otherwise an object with the reason why it is invalid
+   * @example
+   * const res = nano.validateAddress(input);
+   * if (!res.valid) { console.log(`Invalid address: ${res.reason}`); }
+   */
+  validateAddress(
+    address: string
+  ):
+    | {| valid: true, publicKey: string |}
+    | {| valid: false, reason: AddressError |} {
+    return validateAddress(address, addressPrefixes(this.coin));
+  }
+
+  /**
+   * Change the address prefix to the coin primary prefix.
+   * @param address address to normalize
+   * @return the address with the primary prefix
+   * @example
+   * nano.normalizeAddress("xrb_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k")
+   * // "nano_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k"
+   */
+  normalizeAddress(address: string): string {
+    return normalizeAddress(
+      address,
+      addressPrefixes(this.coin),
+      this.coin.addressPrimaryPrefix
+    );
+  }
+
+  /**
+   * Format a raw amount in the coin unit.
+   * @param value raw amount as a string representation of a base 10 number
+   * @param options.maxFractionDigits maximum number of fraction digits to keep
+   * @param options.minFractionDigits minimum number of fraction digits to show
+   * @param options.rounding rounding mode for the dropped digits, defaults to "down"
+   * @return a decimal string of the amount in the coin unit
+   * @example
+   * nano.formatAmount("1500000000000000000000000000000") == "1.5"
+   */
+  formatAmount(
+    value: string,
+    options?: {
+      maxFractionDigits?: number,
+      minFractionDigits?: number,
+      rounding?: RoundingMode
+    }
+  ): string {
+    return formatAmount(value, this.coin.unitDecimals, options);
+  }
+
+  /**
+   * Parse an amount in the coin unit to a raw amount.
+   * @param value decimal string of the amount in the coin unit
+   * @return raw amount as a string representation of a base 10 number
+   * @example
+   * nano.parseAmount("1.5") == "1500000000000000000000000000000"
+   */
+  parseAmount(value: string): string {
+    return parseAmount(value, this.coin.unitDecimals);
+  }
+
+  /**
+   * Get addresses for a range of accounts, one account at a time.
+   * @param options.startIndex index of the first account, defaults to 0
+   * @param options.count number of accounts to get
+   * @param options.onProgress called after each account address has been received
+   * @param options.signal signal for cancelling the remaining requests
+   * @param options.priority priority of the device commands, defaults to 0
+   * @param options.timeout number of milliseconds after which each device
+   * command is cancelled
+   * @return an array of the account addresses
+   * @example
+   * nano.getAddresses({
+   *   count: 20,
+   *   onProgress: p => console.log(`${p.completed}/${p.total}`)
+   * }).then(accounts => accounts.map(a => a.address))
+   */
+  async getAddresses(options: {
+    startIndex?: number,
+    count: number,
+    onProgress?: (progress: {|
+      completed: number,
+      total: number,
+      account: DerivedAddress
+    |}) => mixed,
+    signal?: ?AbortSignal,
+    priority?: number,
+    timeout?: number
+  }): Promise<DerivedAddress[]> {
+    const { startIndex = 0, count, onProgress, signal } = options;
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error("`count` must be a non-negative integer");
+    }
+
+    const accounts = [];
+    for (let i = 0; i < count; i++) {
+      if (signal && signal.aborted) {
+        throw new CancelledError("getAddresses", "abort");
+      }
+      const index = startIndex + i;
+      const path = derivationPath(this.coin, index);
+      const { publicKey, address } = await this._getBatchAddress(
+        "getAddresses",
+        path,
+        options
+      );
+      const account = { index, path, publicKey, address };
+      accounts.push(account);
+      if (onProgress) {
+        onProgress({ completed: i + 1, total: count, account });
+      }
+    }
+    return accounts;
+  }
+
+  /**
+   * Discover the accounts that have been used, stopping after `gapLimit`
+   * consecutive unused accounts.
+   * @param options.getFrontier function that looks up the frontier of an account
+   * @param options.gapLimit number of consecutive unused accounts after which to stop, defaults to 20
+   * @param options.startIndex index of the first account, defaults to 0
+   * @param options.onProgress called after each account has been checked
+   * @param options.signal signal for cancelling the discovery
+   * @param options.priority priority of the device commands, defaults to 0
+   * @param options.timeout number of milliseconds after which each device
+   * command is cancelled
+   * @return an array of the used accounts along with their frontiers
+   * @example
+   * nano.discoverAccounts({
+   *   getFrontier: createRPCFrontierProvider("http://localhost:7076")
+   * }).then(accounts => accounts.map(a => a.address))
+   */
+  async discoverAccounts(options: {
+    getFrontier: FrontierProvider,
+    gapLimit?: number,
+    startIndex?: number,
+    onProgress?: (progress: {|
+      account: DerivedAddress,
+      frontier: ?string
+    |}) => mixed,
+    signal?: ?AbortSignal,
+    priority?: number,
+    timeout?: number
+  }): Promise<Array<{| ...DerivedAddress, frontier: string |}>> {
+    const {
+      getFrontier,
+      gapLimit = 20,
+      startIndex = 0,
+      onProgress,
+      signal
+    } = options;
+    if (!Number.isInteger(gapLimit) || gapLimit < 1) {
+      throw new Error("`gapLimit` must be a positive integer");
+    }
+
+    const accounts = [];
+    let gap = 0;
+    for (let index = startIndex; gap < gapLimit; index++) {
+      if (signal && signal.aborted) {
+        throw new CancelledError("discoverAccounts", "abort");
+      }
+      const path = derivationPath(this.coin, index);
+      const { publicKey, address } = await this._getBatchAddress(
+        "discoverAccounts",
+        path,
+        options
+      );
+      const account = { index, path, publicKey, address };
+      const frontier = await getFrontier(publicKey, address);
+      if (frontier) {
+        accounts.push({ ...account, frontier });
+        gap = 0;
+      } else {
+        gap += 1;
+      }
+      if (onProgress) {
+        onProgress({ account, frontier });
+      }
+    }
+    return accounts;
+  }
+
+  // The inner `getAddress` commands are cancelled with the options of the
+  // batch, report the cancellation under the name of the batch command.
+  async _getBatchAddress(
+    command: string,
+    path: string,
+    options: { signal?: ?AbortSignal, priority?: number, timeout?: number }
+  ): Promise<{| publicKey: string, address: string |}> {
+    const { signal, priority, timeout } = options;
+    try {
+      return await this.getAddress(path, false, null, {
+        signal,
+        priority,
+        timeout
+      });
+    } catch (err) {
+      if (err instanceof CancelledError) {
+        throw new CancelledError(command, err.reason);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Compute the block hash on the host, without involving the device.
+   * @param accountPublicKey public key (in hex) of the account that owns the block
+   * @param blockData block data to hash
+   * @return hash (in hex) of the block
+   * @example
+   * inst.getAddress(path).then(o => inst.hashBlock(o.publicKey, blockData))
+   */
+  hashBlock(accountPublicKey: string, blockData: BlockData): string {
+    return hashBlock(this.coin, accountPublicKey, blockData);
+  }
+}
+
+export function validateCoinConfig(coin: CoinConfig) {
+  ["coinName", "addressPrimaryPrefix", "addressSecondaryPrefix"].forEach(
+    field => {
+      if (typeof coin[field] !== "string" || !coin[field]) {
+        throw new Error(`\`${field}\` must be a non-empty string`);
+      }
+    }
+  );
+  if (
+    typeof coin.derivationPathTemplate !== "string" ||
+    !coin.derivationPathTemplate.includes("{index}") ||
+    !BIPPath.validateString(derivationPath(coin, 0))
+  ) {
+    throw new Error(
+      "`derivationPathTemplate` must be a BIP 32 path with an `{index}` placeholder"
+    );
+  }
+  if (typeof coin.unitName !== "string" || !coin.unitName) {
+    throw new Error("`unitName` must be a non-empty string");
+  }
+  if (!Number.isInteger(coin.unitDecimals) || coin.unitDecimals < 0) {
+    throw new Error("`unitDecimals` must be a non-negative integer");
+  }
+}
+
+// Coin configuration handed from the classes created by `createCoinAPI`
+// to the `CoinAPI` constructor, which can't read it from `this` before
+// calling the `BaseAPI` constructor.
+let nextCoin: ?CoinConfig = null;
+
+/**
+ * Base class of the classes created by `createCoinAPI`, which take the
+ * same constructor arguments as the built-in coin classes.
+ */
+export class CoinAPI extends BaseAPI {
+  constructor(transport: Transport<*>, options?: APIOptions) {
+    const coin = nextCoin;
+    nextCoin = null;
+    if (!coin) {
+      throw new Error("Use `createCoinAPI` to create the coin API classes");
+    }
+    super(transport, coin, options);
+  }
+}
+
+/**
+ * Create an API class for a Nano-derived coin app that this library
+ * doesn't ship a class for.
+ * @param coin coin configuration of the app
+ * @return a class with the same API as the built-in coin classes
+ * @example
+ * const Fork = createCoinAPI({
+ *   coinName: "Fork",
+ *   addressPrimaryPrefix: "fork_",
+ *   addressSecondaryPrefix: "fork_",
+ *   derivationPathTemplate: "44'/999'/{index}'",
+ *   unitName: "FORK",
+ *   unitDecimals: 30
+ * });
+ * const fork = new Fork(transport);
+ */
+export function createCoinAPI(coin: CoinConfig): Class<CoinAPI> {
+  validateCoinConfig(coin);
+
+  const config = { ...coin };
+  return class extends CoinAPI {
+    constructor(transport: Transport<*>, options?: APIOptions) {
+      nextCoin = config;
+      super(transport, options);
+    }
+  };
 }
@@ -0,0 +1,73 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+import type Transport from "@ledgerhq/hw-transport";
+import type { APIOptions, CoinConfig } from "./api";
+import { BaseAPI, validateCoinConfig } from "./api";
+import { WrongAppError } from "./errors";
+import Nano from "./Nano";
+import Banano from "./Banano";
+import NOS from "./NOS";
+import NOLLAR from "./NOLLAR";
+
+/**
+ * Create the coin API instance matching the app that is open on the device.
+ * As NOLLAR is served by the NOS app, a NOS instance is returned for it.
+ * @param transport transport to the device
+ * @param options.options options passed to the coin API instance
+ * @param options.coins configurations of additional coins to detect
+ * @return an instance of the coin class for the open app
+ * @example
+ * openDetected(transport).then(inst => {
+ *   console.log(`${inst.coin.coinName} app is open`);
+ * })
+ */
+export async function openDetected(
+  transport: Transport<*>,
+  options?: {
+    options?: APIOptions,
+    coins?: CoinConfig[]
+  } = {}
+): Promise<BaseAPI> {
+  const apiOptions = options.options;
+  const candidates = [
+    new Nano(transport, apiOptions),
+    new Banano(transport, apiOptions),
+    new NOS(transport, apiOptions),
+    new NOLLAR(transport, apiOptions)
+  ].concat(
+    (options.coins || []).map(coin => {
+      validateCoinConfig(coin);
+      return new BaseAPI(transport, { ...coin }, apiOptions);
+    })
+  );
+
+  const { coinName } = await candidates[0].getAppConfiguration();
+  const inst = candidates.find(c => c.coin.coinName == coinName);
+  if (!inst) {
+    throw new WrongAppError(
+      "getAppConfiguration",
+      candidates
+        .map(c => c.coin.coinName)
+        .filter((name, i, names) => names.indexOf(name) == i)
+        .join(", "),
+      coinName
+    );
+  }
+  return inst;
+}
@@ -0,0 +1,208 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+// Ed25519 signature scheme as used by the Nano-family coins, which replaces
+// the SHA-512 hash of the original scheme with Blake2b-512.
+
+import { blake2bInit, blake2bUpdate, blake2bFinal } from "blakejs";
+import bigInt from "big-integer";
+
+type Point = [any, any, any, any];
+
+const P = bigInt(2)
+  .pow(255)
+  .minus(19);
+const L = bigInt(2)
+  .pow(252)
+  .add(bigInt("27742317777372353535851937790883648493"));
+const D = mod(bigInt(-121665).multiply(bigInt(121666).modInv(P)));
+const D2 = mod(D.multiply(2));
+const SQRT_M1 = bigInt(2).modPow(P.minus(1).divide(4), P);
+
+const BASE_Y = mod(bigInt(4).multiply(bigInt(5).modInv(P)));
+const BASE: Point = (() => {
+  const x = recoverX(BASE_Y, 0);
+  if (!x) {
+    throw new Error("Failed to recover base point");
+  }
+  return [x, BASE_Y, bigInt.one, mod(x.multiply(BASE_Y))];
+})();
+const ZERO: Point = [bigInt.zero, bigInt.one, bigInt.one, bigInt.zero];
+
+function mod(a: any, m: any = P): any {
+  const r = a.mod(m);
+  return r.isNegative() ? r.add(m) : r;
+}
+
+function hash(...parts: Buffer[]): Buffer {
+  const ctx = blake2bInit(64);
+  parts.forEach(p => blake2bUpdate(ctx, p));
+  return Buffer.from(blake2bFinal(ctx));
+}
+
+function decodeInt(buf: Buffer): any {
+  return bigInt(
+    Buffer.from(buf)
+      .reverse()
+      .toString("hex"),
+    16
+  );
+}
+
+function encodeInt(n: any): Buffer {
+  let hex = n.toString(16);
+  hex = "0".repeat(64 - hex.length) + hex;
+  return Buffer.from(hex, "hex").reverse();
+}
+
+function recoverX(y: any, sign: number): ?any {
+  const y2 = y.multiply(y);
+  const u = mod(y2.minus(1));
+  const v = mod(D.multiply(y2).add(1));
+  const v3 = mod(v.multiply(v).multiply(v));
+  const v7 = mod(v3.multiply(v3).multiply(v));
+  let x = mod(
+    u.multiply(v3).multiply(mod(u.multiply(v7)).modPow(P.minus(5).divide(8), P))
+  );
+  const vx2 = mod(v.multiply(x).multiply(x));
+  if (vx2.equals(mod(u.negate()))) {
+    x = mod(x.multiply(SQRT_M1));
+  } else if (!vx2.equals(u)) {
+    return null;
+  }
+  if (x.isZero() && sign) {
+    return null;
+  }
+  if (x.isOdd() != !!sign) {
+    x = P.minus(x);
+  }
+  return x;
+}
+
+function pointAdd(p: Point, q: Point): Point {
+  const [x1, y1, z1, t1] = p;
+  const [x2, y2, z2, t2] = q;
+  const a = mod(y1.minus(x1).multiply(y2.minus(x2)));
+  const b = mod(y1.add(x1).multiply(y2.add(x2)));
+  const c = mod(t1.multiply(D2).multiply(t2));
+  const d = mod(z1.multiply(2).multiply(z2));
+  const e = b.minus(a);
+  const f = d.minus(c);
+  const g = d.add(c);
+  const h = b.add(a);
+  return [
+    mod(e.multiply(f)),
+    mod(g.multiply(h)),
+    mod(f.multiply(g)),
+    mod(e.multiply(h))
+  ];
+}
+
+function scalarMult(p: Point, n: any): Point {
+  let r = ZERO;
+  let q = p;
+  while (!n.isZero()) {
+    if (n.isOdd()) {
+      r = pointAdd(r, q);
+    }
+    q = pointAdd(q, q);
+    n = n.shiftRight(1);
+  }
+  return r;
+}
+
+function encodePoint(p: Point): Buffer {
+  const [x, y, z] = p;
+  const zInv = z.modInv(P);
+  const buf = encodeInt(mod(y.multiply(zInv)));
+  if (mod(x.multiply(zInv)).isOdd()) {
+    buf[31] |= 0x80;
+  }
+  return buf;
+}
+
+function decodePoint(buf: Buffer): ?Point {
+  if (buf.length != 32) {
+    return null;
+  }
+  const sign = buf[31] >> 7;
+  const yBuf = Buffer.from(buf);
+  yBuf[31] &= 0x7f;
+  const y = decodeInt(yBuf);
+  if (y.geq(P)) {
+    return null;
+  }
+  const x = recoverX(y, sign);
+  if (!x) {
+    return null;
+  }
+  return [x, y, bigInt.one, mod(x.multiply(y))];
+}
+
+function secretScalar(secretKey: Buffer): {| a: any, prefix: Buffer |} {
+  const h = hash(secretKey);
+  h[0] &= 0xf8;
+  h[31] &= 0x7f;
+  h[31] |= 0x40;
+  return { a: decodeInt(h.slice(0, 32)), prefix: h.slice(32) };
+}
+
+/**
+ * Derive the public key for the given 32 byte secret key.
+ */
+export function derivePublicKey(secretKey: Buffer): Buffer {
+  const { a } = secretScalar(secretKey);
+  return encodePoint(scalarMult(BASE, a));
+}
+
+/**
+ * Produce a 64 byte signature of the message with the 32 byte secret key.
+ */
+export function sign(message: Buffer, secretKey: Buffer): Buffer {
+  const { a, prefix } = secretScalar(secretKey);
+  const publicKey = encodePoint(scalarMult(BASE, a));
+  const r = mod(decodeInt(hash(prefix, message)), L);
+  const R = encodePoint(scalarMult(BASE, r));
+  const k = mod(decodeInt(hash(R, publicKey, message)), L);
+  const S = mod(r.add(k.multiply(a)), L);
+  return Buffer.concat([R, encodeInt(S)]);
+}
+
+/**
+ * Check that the 64 byte signature of the message was produced by
+ * the owner of the 32 byte public key.
+ */
+export function verify(
+  message: Buffer,
+  signature: Buffer,
+  publicKey: Buffer
+): boolean {
+  if (signature.length != 64 || publicKey.length != 32) {
+    return false;
+  }
+  const A = decodePoint(publicKey);
+  const R = decodePoint(signature.slice(0, 32));
+  const S = decodeInt(signature.slice(32));
+  if (!A || !R || S.geq(L)) {
+    return false;
+  }
+  const k = mod(decodeInt(hash(signature.slice(0, 32), publicKey, message)), L);
+  const lhs = encodePoint(scalarMult(BASE, S));
+  const rhs = encodePoint(pointAdd(R, scalarMult(A, k)));
+  return lhs.equals(rhs);
+}
@@ -0,0 +1,267 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+import type { BlockDataError } from "./api";
+import { STATUS_CODES } from "./api";
+
+const INS_NOT_SUPPORTED = 0x6d00;
+const CLA_NOT_SUPPORTED = 0x6e00;
+
+/**
+ * Base class for all of the errors thrown by the coin API instances.
+ *
+ * @property {string} command name of the command that failed
+ * @property {number?} statusCode status word returned by the device, if any
+ * @property {Error?} cause the underlying error, if any
+ * @example
+ * nano.signBlock(path, blockData).catch(err => {
+ *   if (err instanceof UserRejectedError) {
+ *     console.log("User cancelled the request");
+ *   }
+ * });
+ */
+export class NanoAppError extends Error {
+  command: string;
+  statusCode: ?number;
+  cause: ?Error;
+
+  constructor(message: string, command: string, cause?: ?Error) {
+    super(message);
+    this.name = "NanoAppError";
+    this.command = command;
+    this.cause = cause;
+    this.statusCode = cause && (cause: any).statusCode;
+  }
+}
+
+/**
+ * Thrown when the device is locked.
+ */
+export class DeviceLockedError extends NanoAppError {
+  constructor(command: string, cause?: ?Error) {
+    super("Device is locked", command, cause);
+    this.name = "DeviceLockedError";
+  }
+}
+
+/**
+ * Thrown when the user rejects the request on the device.
+ */
+export class UserRejectedError extends NanoAppError {
+  constructor(command: string, cause?: ?Error) {
+    super("Request was rejected on the device", command, cause);
+    this.name = "UserRejectedError";
+  }
+}
+
+/**
+ * Thrown when a block signature fails to verify, either on the
+ * device or on the host.
+ */
+export class InvalidSignatureError extends NanoAppError {
+  constructor(command: string, cause?: ?Error, message?: string) {
+    super(message || "Block signature is invalid", command, cause);
+    this.name = "InvalidSignatureError";
+  }
+}
+
+/**
+ * Thrown when the parent block of the block being signed is
+ * not in the device cache. Use `cacheBlock` to cache it.
+ */
+export class CacheMissError extends NanoAppError {
+  constructor(command: string, cause?: ?Error) {
+    super("Parent block was not found in the device cache", command, cause);
+    this.name = "CacheMissError";
+  }
+}
+
+/**
+ * Thrown when the open app on the device is not the one for the coin.
+ *
+ * @property {string} expectedCoin name of the coin the app was expected for
+ * @property {string?} actualCoin name of the coin of the open app, if known
+ */
+export class WrongAppError extends NanoAppError {
+  expectedCoin: string;
+  actualCoin: ?string;
+
+  constructor(
+    command: string,
+    expectedCoin: string,
+    actualCoin?: ?string,
+    cause?: ?Error
+  ) {
+    super(
+      `Expected ${expectedCoin} app to be open, ` +
+        (actualCoin
+          ? `found ${actualCoin} app open instead`
+          : "found a different app open instead"),
+      command,
+      cause
+    );
+    this.name = "WrongAppError";
+    this.expectedCoin = expectedCoin;
+    this.actualCoin = actualCoin;
+  }
+}
+
+/**
+ * Thrown when the app on the device does not support the command.
+ */
+export class UnsupportedAppVersionError extends NanoAppError {
+  constructor(command: string, cause?: ?Error, message?: string) {
+    super(
+      message || `App on the device does not support \`${command}\``,
+      command,
+      cause
+    );
+    this.name = "UnsupportedAppVersionError";
+  }
+}
+
+/**
+ * Thrown when the address returned by the device doesn't match the
+ * address derived on the host, or the expected address.
+ *
+ * @property {string} expectedAddress the address that was expected
+ * @property {string} actualAddress the address returned by the device
+ */
+export class AddressMismatchError extends NanoAppError {
+  expectedAddress: string;
+  actualAddress: string;
+
+  constructor(command: string, expectedAddress: string, actualAddress: string) {
+    super(
+      `Device returned address ${actualAddress}, ` +
+        `expected ${expectedAddress} instead`,
+      command
+    );
+    this.name = "AddressMismatchError";
+    this.expectedAddress = expectedAddress;
+    this.actualAddress = actualAddress;
+  }
+}
+
+/**
+ * Thrown when a command is cancelled with an `AbortSignal` or
+ * runs out of time. When the device was already processing the command,
+ * it keeps doing so and the following commands wait for it, see
+ * `BaseAPI#getStaleCommand`.
+ *
+ * @property {string} reason either "abort" or "timeout"
+ */
+export class CancelledError extends NanoAppError {
+  reason: "abort" | "timeout";
+
+  constructor(command: string, reason: "abort" | "timeout") {
+    super(
+      reason == "timeout"
+        ? `\`${command}\` timed out`
+        : `\`${command}\` was cancelled`,
+      command
+    );
+    this.name = "CancelledError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when the block data passed to a command is invalid, before
+ * anything is sent to the device.
+ *
+ * @property {BlockDataError[]} errors all of the problems found in the block data
+ */
+export class InvalidBlockDataError extends NanoAppError {
+  errors: BlockDataError[];
+
+  constructor(command: string, errors: BlockDataError[]) {
+    super(errors.map(e => e.message).join("; "), command);
+    this.name = "InvalidBlockDataError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown when signing a block on top of a previous block that already
+ * has a different block signed on top of it, which would fork the
+ * account chain.
+ *
+ * @property {string} previousBlock hash (in hex) of the previous block
+ * @property {string} signedBlockHash hash (in hex) of the block that was signed before
+ * @property {string} blockHash hash (in hex) of the block that was refused
+ */
+export class ConflictingBlockError extends NanoAppError {
+  previousBlock: string;
+  signedBlockHash: string;
+  blockHash: string;
+
+  constructor(
+    command: string,
+    previousBlock: string,
+    signedBlockHash: string,
+    blockHash: string
+  ) {
+    super(
+      `Block ${signedBlockHash} was already signed on top of ` +
+        `${previousBlock}, refusing to sign ${blockHash}`,
+      command
+    );
+    this.name = "ConflictingBlockError";
+    this.previousBlock = previousBlock;
+    this.signedBlockHash = signedBlockHash;
+    this.blockHash = blockHash;
+  }
+}
+
+/**
+ * Thrown when the device response is not what was expected.
+ */
+export class MalformedResponseError extends NanoAppError {
+  constructor(command: string, message?: string) {
+    super(message || "Device returned a malformed response", command);
+    this.name = "MalformedResponseError";
+  }
+}
+
+/**
+ * Convert the error thrown by the transport to one of the error
+ * classes, when the status word is a known one.
+ */
+export function fromTransportError(
+  command: string,
+  expectedCoin: string,
+  err: Error
+): Error {
+  switch ((err: any).statusCode) {
+    case STATUS_CODES.SECURITY_STATUS_NOT_SATISFIED:
+      return new DeviceLockedError(command, err);
+    case STATUS_CODES.CONDITIONS_OF_USE_NOT_SATISFIED:
+      return new UserRejectedError(command, err);
+    case STATUS_CODES.INVALID_SIGNATURE:
+      return new InvalidSignatureError(command, err);
+    case STATUS_CODES.CACHE_MISS:
+      return new CacheMissError(command, err);
+    case INS_NOT_SUPPORTED:
+      return new UnsupportedAppVersionError(command, err);
+    case CLA_NOT_SUPPORTED:
+      return new WrongAppError(command, expectedCoin, null, err);
+    default:
+      return err;
+  }
+}
@@ -0,0 +1,118 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+/**
+ * Persistent store of the blocks signed on top of each previous block,
+ * used to refuse signing a second, different block on top of the same
+ * previous block. The keys identify the account and the previous block,
+ * the values are block hashes (in hex).
+ *
+ * `setIfAbsent` records the block hash only when there is no record for
+ * the key yet and returns the record that was already there, or null.
+ * When it is provided it is used instead of `get` followed by `set`, and
+ * it must be atomic. Without it, the store must make `get` and `set`
+ * atomic itself, otherwise two instances sharing it can both sign a block
+ * on top of the same previous block.
+ */
+export type SignatureStore = {
+  get(key: string): ?string | Promise<?string>,
+  set(key: string, blockHash: string): void | Promise<void>,
+  delete(key: string): void | Promise<void>,
+  setIfAbsent?: (key: string, blockHash: string) => ?string | Promise<?string>
+};
+
+/**
+ * Get the store key of the block signed by the account on top of
+ * the previous block.
+ * @param accountPublicKey public key (in hex) of the account
+ * @param previousBlock hash (in hex) of the previous block, null for open blocks
+ * @return the store key
+ */
+export function signatureStoreKey(
+  accountPublicKey: string,
+  previousBlock: ?string
+): string {
+  return (
+    accountPublicKey.toUpperCase() +
+    ":" +
+    (previousBlock || "0".repeat(64)).toUpperCase()
+  );
+}
+
+/**
+ * Create a signature store that keeps the records in memory. The records
+ * are lost when the process exits and are not shared between processes.
+ * @return a signature store
+ * @example
+ * const nano = new Nano(transport, {
+ *   signatureStore: createMemorySignatureStore()
+ * });
+ */
+export function createMemorySignatureStore(): SignatureStore {
+  const records: Map<string, string> = new Map();
+  return {
+    get: key => records.get(key),
+    set: (key, blockHash) => {
+      records.set(key, blockHash);
+    },
+    delete: key => {
+      records.delete(key);
+    },
+    setIfAbsent: (key, blockHash) => {
+      const record = records.get(key);
+      if (!record) {
+        records.set(key, blockHash);
+      }
+      return record;
+    }
+  };
+}
+
+/**
+ * Create a signature store backed by a Web Storage object, such as
+ * `localStorage`, which is shared by all of the browser tabs of the origin.
+ * Recording a block is atomic within a tab but not between tabs.
+ * @param storage storage to keep the records in
+ * @param prefix prefix of the storage keys, defaults to "nano-signed:"
+ * @return a signature store
+ * @example
+ * const nano = new Nano(transport, {
+ *   signatureStore: createStorageSignatureStore(window.localStorage)
+ * });
+ */
+export function createStorageSignatureStore(
+  storage: Storage,
+  prefix?: string = "nano-signed:"
+): SignatureStore {
+  return {
+    get: key => storage.getItem(prefix + key),
+    set: (key, blockHash) => {
+      storage.setItem(prefix + key, blockHash);
+    },
+    delete: key => {
+      storage.removeItem(prefix + key);
+    },
+    setIfAbsent: (key, blockHash) => {
+      const record = storage.getItem(prefix + key);
+      if (!record) {
+        storage.setItem(prefix + key, blockHash);
+      }
+      return record;
+    }
+  };
+}
@@ -16,10 +16,94 @@
  ********************************************************************************/
 //@flow
 
-export { STATUS_CODES } from "./api";
-export type { BlockData } from "./api";
-export { encodeBalance, decodeBalance } from "./util";
+export {
+  STATUS_CODES,
+  EPOCH_LINKS,
+  BaseAPI,
+  blockSubtype,
+  validateBlockData,
+  CoinAPI,
+  createCoinAPI
+} from "./api";
+export {
+  NanoAppError,
+  DeviceLockedError,
+  UserRejectedError,
+  InvalidSignatureError,
+  CacheMissError,
+  WrongAppError,
+  UnsupportedAppVersionError,
+  AddressMismatchError,
+  CancelledError,
+  ConflictingBlockError,
+  InvalidBlockDataError,
+  MalformedResponseError
+} from "./errors";
+export type {
+  AccountState,
+  APIOptions,
+  BlockData,
+  BlockDataError,
+  BlockDataErrorCode,
+  BlockSubtype,
+  CoinConfig,
+  CommandOptions,
+  DerivedAddress,
+  DeviceEvent,
+  DeviceEventName,
+  ReadyState,
+  SignedAccountBlock,
+  ParentBlockProvider
+} from "./api";
+export {
+  decodeAddress,
+  encodeAddress,
+  validateAddress,
+  normalizeAddress,
+  encodeBalance,
+  decodeBalance,
+  formatAmount,
+  parseAmount,
+  hashStateBlock,
+  verifyBlockSignature
+} from "./util";
+export type { AddressError, RoundingMode } from "./util";
 export { default } from "./Nano";
 export { default as Banano } from "./Banano";
 export { default as NOS } from "./NOS";
 export { default as NOLLAR } from "./NOLLAR";
+export { openDetected } from "./detect";
+export { default as Account } from "./Account";
+export {
+  signatureStoreKey,
+  createMemorySignatureStore,
+  createStorageSignatureStore
+} from "./guard";
+export type { SignatureStore } from "./guard";
+export type { AccountJSON, PendingBlock } from "./Account";
+export {
+  APP_CAPABILITIES,
+  parseAppVersion,
+  compareAppVersions,
+  supportsCapability
+} from "./version";
+export type { AppVersion } from "./version";
+export {
+  createRPCFrontierProvider,
+  createRPCParentBlockProvider,
+  fromRPCBlock,
+  toRPCBlock
+} from "./rpc";
+export type { FrontierProvider, RPCBlock } from "./rpc";
+export {
+  WORK_THRESHOLDS,
+  workRoot,
+  workValue,
+  validateWork,
+  generateWork
+} from "./work";
+export { default as TransportEmulator } from "./TransportEmulator";
+export type { EmulatorOptions, EmulatorPrompt } from "./TransportEmulator";
+export { default as TransportRecorder } from "./TransportRecorder";
+export type { APDUExchange } from "./TransportRecorder";
+export { default as TransportReplayer } from "./TransportReplayer";
@@ -0,0 +1,259 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+import type { BlockData, CoinConfig, ParentBlockProvider } from "./api";
+import { processBlockData } from "./api";
+import { decodeAddress, encodeAddress } from "./util";
+
+const ZERO_HASH = "0".repeat(64);
+
+/**
+ * State block in the JSON format used by the node RPC.
+ *
+ * @property {string} type always "state"
+ * @property {string} account address of the account that owns the block
+ * @property {string} previous hash (in hex) of the previous block, all zeroes for open blocks
+ * @property {string} representative address of the representative
+ * @property {string} balance account balance after the transaction
+ * @property {string} link the source block hash, the recipient public key or the epoch link (in hex)
+ * @property {string?} link_as_account the link field encoded as an address
+ * @property {string?} signature signature (in hex) of the block
+ * @property {string?} work proof of work (in hex) of the block
+ * @property {string?} subtype one of "open", "receive", "send", "change" or "epoch"
+ */
+export type RPCBlock = {
+  type: "state",
+  account: string,
+  previous: string,
+  representative: string,
+  balance: string,
+  link: string,
+  link_as_account?: string,
+  signature?: string,
+  work?: string,
+  subtype?: string
+};
+
+/**
+ * Function that looks up the frontier (hash of the latest block) of an
+ * account, resolving to null when the account has not been opened yet.
+ */
+export type FrontierProvider = (
+  publicKey: string,
+  address: string
+) => Promise<?string>;
+
+async function rpcRequest(
+  url: string,
+  fetchImpl: ?typeof fetch,
+  body: { action: string },
+  notFoundError: string
+): Promise<?Object> {
+  const f = fetchImpl || fetch;
+  const res = await f(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body)
+  });
+  if (!res.ok) {
+    throw new Error(`${body.action} request failed with HTTP ${res.status}`);
+  }
+  const result = await res.json();
+  if (result.error) {
+    if (result.error == notFoundError) {
+      return null;
+    }
+    throw new Error(`${body.action} request failed: ${result.error}`);
+  }
+  return result;
+}
+
+/**
+ * Create a frontier provider that queries a node using the `account_info` RPC.
+ * @param url URL of the node RPC endpoint
+ * @param fetchImpl fetch implementation to use, defaults to the global `fetch`
+ * @return a frontier provider
+ * @example
+ * const getFrontier = createRPCFrontierProvider("http://localhost:7076");
+ * nano.discoverAccounts({ getFrontier }).then(accounts => ...)
+ */
+export function createRPCFrontierProvider(
+  url: string,
+  fetchImpl?: typeof fetch
+): FrontierProvider {
+  return async (_publicKey: string, address: string) => {
+    const info = await rpcRequest(
+      url,
+      fetchImpl,
+      { action: "account_info", account: address },
+      "Account not found"
+    );
+    return info ? info.frontier : null;
+  };
+}
+
+/**
+ * Create a parent block provider that queries a node using the `block_info` RPC.
+ * @param coin coin configuration
+ * @param url URL of the node RPC endpoint
+ * @param fetchImpl see `createRPCFrontierProvider`
+ * @return a parent block provider
+ * @example
+ * const nano = new Nano(transport);
+ * nano.options.getParentBlock = createRPCParentBlockProvider(
+ *   nano.coin,
+ *   "http://localhost:7076"
+ * );
+ */
+export function createRPCParentBlockProvider(
+  coin: CoinConfig,
+  url: string,
+  fetchImpl?: typeof fetch
+): ParentBlockProvider {
+  return async (blockHash: string) => {
+    const info = await rpcRequest(
+      url,
+      fetchImpl,
+      { action: "block_info", hash: blockHash, json_block: "true" },
+      "Block not found"
+    );
+    if (!info) {
+      return null;
+    }
+    return {
+      blockData: fromRPCBlock(coin, info.contents, info.subtype),
+      signature: info.contents.signature
+    };
+  };
+}
+
+/**
+ * Convert a node RPC state block to block data accepted by `signBlock`
+ * and `cacheBlock`. When the block subtype is not known, the block data
+ * keeps the raw `link` field.
+ * @param coin coin configuration
+ * @param block state block in the node RPC JSON format
+ * @param subtype subtype of the block, defaults to the `subtype` field of the block
+ * @return block data
+ * @example
+ * rpc("block_info", { hash, json_block: "true" }).then(info =>
+ *   fromRPCBlock(nano.coin, info.contents, info.subtype)
+ * )
+ */
+export function fromRPCBlock(
+  coin: CoinConfig,
+  block: RPCBlock,
+  subtype?: ?string
+): BlockData {
+  if (block.type != "state") {
+    throw new Error("Only state blocks are supported");
+  }
+  subtype = subtype || block.subtype;
+
+  const isOpenBlock = !block.previous || /^0+$/.test(block.previous);
+  const link: string = block.link.toUpperCase();
+  const { representative, balance } = block;
+
+  if (!subtype || subtype == "epoch") {
+    const previousBlock = isOpenBlock ? null : block.previous.toUpperCase();
+    return { previousBlock, representative, balance, link };
+  }
+  if (subtype == "open" || (isOpenBlock && subtype == "receive")) {
+    if (!isOpenBlock) {
+      throw new Error("Open block must not have a previous block");
+    }
+    return { representative, balance, sourceBlock: link };
+  }
+  if (isOpenBlock) {
+    throw new Error(`A ${String(subtype)} block must have a previous block`);
+  }
+
+  const previousBlock: string = block.previous.toUpperCase();
+  if (subtype == "receive") {
+    return { previousBlock, representative, balance, sourceBlock: link };
+  } else if (subtype == "send") {
+    const recipient: string =
+      block.link_as_account ||
+      encodeAddress(Buffer.from(link, "hex"), coin.addressPrimaryPrefix);
+    return { previousBlock, representative, balance, recipient };
+  } else if (subtype == "change") {
+    return { previousBlock, representative, balance };
+  } else {
+    throw new Error(`Unsupported block subtype \`${subtype}\``);
+  }
+}
+
+/**
+ * Convert block data to a node RPC state block. When the signature and work
+ * are provided, the result can be published using the `process` RPC.
+ * @param coin coin configuration
+ * @param account address of the account that owns the block
+ * @param blockData block data
+ * @param signed signature (in hex) and work (in hex) of the block
+ * @return state block in the node RPC JSON format
+ * @example
+ * nano.signBlock(path, blockData).then(o =>
+ *   rpc("process", {
+ *     json_block: "true",
+ *     block: toRPCBlock(nano.coin, address, blockData, {
+ *       signature: o.signature,
+ *       work
+ *     })
+ *   })
+ * )
+ */
+export function toRPCBlock(
+  coin: CoinConfig,
+  account: string,
+  blockData: BlockData,
+  signed?: { signature: string, work?: ?string }
+): RPCBlock {
+  const prefixes = [coin.addressPrimaryPrefix, coin.addressSecondaryPrefix];
+  if (!decodeAddress(account, prefixes)) {
+    throw new Error("`account` must be a valid address");
+  }
+  const { link } = processBlockData(coin, blockData, "toRPCBlock");
+
+  const block: RPCBlock = {
+    type: "state",
+    account,
+    previous: (blockData.previousBlock || ZERO_HASH).toUpperCase(),
+    representative: blockData.representative,
+    balance: blockData.balance,
+    link: link.toUpperCase(),
+    link_as_account: encodeAddress(
+      Buffer.from(link, "hex"),
+      coin.addressPrimaryPrefix
+    )
+  };
+
+  if (signed) {
+    if (!/^[0-9a-fA-F]{128}$/.test(signed.signature)) {
+      throw new Error("`signature` must be a 128 character hex string");
+    }
+    block.signature = signed.signature.toUpperCase();
+    const { work } = signed;
+    if (work) {
+      if (!/^[0-9a-fA-F]{16}$/.test(work)) {
+        throw new Error("`work` must be a 16 character hex string");
+      }
+      block.work = work.toLowerCase();
+    }
+  }
+  return block;
+}
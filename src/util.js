@@ -17,23 +17,45 @@
 //@flow
 
 import nanoBase32 from "nano-base32";
-import { blake2b } from "blakejs";
+import { blake2b, blake2bInit, blake2bUpdate, blake2bFinal } from "blakejs";
 import bigInt from "big-integer";
+import { verify } from "./ed25519";
 
-export function decodeAddress(
+/**
+ * Reason why an address failed validation.
+ */
+export type AddressError =
+  | "bad-prefix"
+  | "bad-length"
+  | "bad-alphabet"
+  | "bad-checksum";
+
+/**
+ * Validate an address and extract the public key from it
+ * @param address address to validate
+ * @param allowedPrefixes list of the prefixes the address may start with
+ * @return an object with the public key (in hex) when the address is valid,
+ * otherwise an object with the reason why it is invalid
+ * @example
+ * validateAddress("xrb_1111", ["nano_", "xrb_"]) // { valid: false, reason: "bad-length" }
+ */
+export function validateAddress(
   address: string,
   allowedPrefixes: string[]
-): ?Buffer {
-  for (var i = 0; i < allowedPrefixes.length; i++) {
-    const prefix = allowedPrefixes[i];
-    if (address.startsWith(prefix)) {
-      address = address.substr(prefix.length);
-      break;
-    }
+):
+  | {| valid: true, publicKey: string |}
+  | {| valid: false, reason: AddressError |} {
+  const prefix = allowedPrefixes.find(p => address.startsWith(p));
+  if (prefix == null) {
+    return { valid: false, reason: "bad-prefix" };
   }
+  address = address.substr(prefix.length);
 
-  if (!/[13][0-9a-km-uw-z]{59}/.test(address)) {
-    return null;
+  if (address.length != 60) {
+    return { valid: false, reason: "bad-length" };
+  }
+  if (!/^[13][0-9a-km-uw-z]{59}$/.test(address)) {
+    return { valid: false, reason: "bad-alphabet" };
   }
 
   const bytes = nanoBase32.decode(address);
@@ -43,15 +65,83 @@ export function decodeAddress(
   const computedChecksum = blake2b(publicKey, null, 5).reverse();
 
   if (checksum.length != computedChecksum.length) {
-    return null;
+    return { valid: false, reason: "bad-checksum" };
   }
   for (let i = 0; i < computedChecksum.length; i++) {
     if (checksum[i] != computedChecksum[i]) {
-      return null;
+      return { valid: false, reason: "bad-checksum" };
     }
   }
 
-  return Buffer.from(publicKey);
+  return { valid: true, publicKey: Buffer.from(publicKey).toString("hex") };
+}
+
+/**
+ * Decode the public key from an address
+ * @param address address to decode
+ * @param allowedPrefixes list of the prefixes the address may start with
+ * @return the public key or null when the address is invalid
+ */
+export function decodeAddress(
+  address: string,
+  allowedPrefixes: string[]
+): ?Buffer {
+  const result = validateAddress(address, allowedPrefixes);
+  return result.valid ? Buffer.from(result.publicKey, "hex") : null;
+}
+
+/**
+ * Encode a public key as an address
+ * @param publicKey public key (in hex)
+ * @param prefix address prefix to use
+ * @return the address
+ * @example
+ * encodeAddress(
+ *   "89D236E66D33A103425EF5D4E3E7A4975DBF01639C8CE128984ACC47F00BC268",
+ *   "nano_"
+ * ) == "nano_34gk8um8tex31f37xxgnwhmtb7txqw1p996ew6nbikpeazr1qimagsuckis9"
+ */
+export function encodeAddress(
+  publicKey: Buffer | string,
+  prefix: string
+): string {
+  if (typeof publicKey === "string") {
+    if (!/^[0-9a-fA-F]{64}$/.test(publicKey)) {
+      throw new Error("`publicKey` must be a 64 character hex string");
+    }
+    publicKey = Buffer.from(publicKey, "hex");
+  }
+  const checksum = blake2b(publicKey, null, 5).reverse();
+  return (
+    prefix +
+    nanoBase32.encode(new Uint8Array(publicKey)) +
+    nanoBase32.encode(checksum)
+  );
+}
+
+/**
+ * Change the prefix of an address, for example from `xrb_` to `nano_`
+ * @param address address to normalize
+ * @param allowedPrefixes list of the prefixes the address may start with
+ * @param prefix address prefix to use
+ * @return the address with the new prefix
+ * @example
+ * normalizeAddress(
+ *   "xrb_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k",
+ *   ["nano_", "xrb_"],
+ *   "nano_"
+ * ) == "nano_3hd4ezdgsp15iemx7h81in7xz5tpxi43b6b41zn3qmwiuypankocw3awes5k"
+ */
+export function normalizeAddress(
+  address: string,
+  allowedPrefixes: string[],
+  prefix: string
+): string {
+  const result = validateAddress(address, allowedPrefixes);
+  if (!result.valid) {
+    throw new Error(`\`address\` is invalid (${result.reason})`);
+  }
+  return encodeAddress(result.publicKey, prefix);
 }
 
 /**
@@ -79,3 +169,152 @@ export function encodeBalance(value: string): string {
 export function decodeBalance(value: string): string {
   return bigInt(value, 16).toString();
 }
+
+/**
+ * Rounding mode used when formatting an amount with fewer fraction digits
+ * than the unit has.
+ */
+export type RoundingMode = "down" | "up" | "half-up" | "half-even";
+
+/**
+ * Format a raw amount as a decimal string in a larger unit
+ * @param value raw amount as a string representation of a base 10 number
+ * @param decimals number of decimal places between raw and the unit
+ * @param options.maxFractionDigits maximum number of fraction digits to keep, defaults to `decimals`
+ * @param options.minFractionDigits minimum number of fraction digits to show, defaults to 0
+ * @param options.rounding rounding mode for the dropped digits, defaults to "down"
+ * @return a decimal string of the amount in the unit
+ * @example
+ * formatAmount("1500000000000000000000000000000", 30) == "1.5"
+ * formatAmount("1550000000000000000000000000000", 30, { maxFractionDigits: 1, rounding: "half-even" }) == "1.6"
+ */
+export function formatAmount(
+  value: string,
+  decimals: number,
+  options?: {
+    maxFractionDigits?: number,
+    minFractionDigits?: number,
+    rounding?: RoundingMode
+  } = {}
+): string {
+  if (!/^[0-9]+$/.test(value)) {
+    throw new Error("`value` must be a non-negative integer");
+  }
+  const {
+    maxFractionDigits = decimals,
+    minFractionDigits = 0,
+    rounding = "down"
+  } = options;
+  const fractionDigits = Math.min(maxFractionDigits, decimals);
+
+  const divisor = bigInt(10).pow(decimals - fractionDigits);
+  let { quotient, remainder } = bigInt(value, 10).divmod(divisor);
+  if (!remainder.isZero()) {
+    const half = remainder.multiply(2).compare(divisor);
+    if (
+      rounding == "up" ||
+      (rounding == "half-up" && half >= 0) ||
+      (rounding == "half-even" && (half > 0 || (half == 0 && quotient.isOdd())))
+    ) {
+      quotient = quotient.add(1);
+    }
+  }
+
+  let digits = quotient.toString();
+  if (digits.length <= fractionDigits) {
+    digits = "0".repeat(fractionDigits - digits.length + 1) + digits;
+  }
+  const integer = digits.slice(0, digits.length - fractionDigits);
+  let fraction = digits.slice(digits.length - fractionDigits);
+  const minDigits = Math.min(minFractionDigits, fractionDigits);
+  while (fraction.length > minDigits && fraction.endsWith("0")) {
+    fraction = fraction.slice(0, -1);
+  }
+  return fraction ? `${integer}.${fraction}` : integer;
+}
+
+/**
+ * Parse a decimal string in a larger unit to a raw amount
+ * @param value decimal string of the amount in the unit
+ * @param decimals number of decimal places between raw and the unit
+ * @return raw amount as a string representation of a base 10 number
+ * @example
+ * parseAmount("1.5", 30) == "1500000000000000000000000000000"
+ */
+export function parseAmount(value: string, decimals: number): string {
+  const match = /^([0-9]*)(?:\.([0-9]*))?$/.exec(value);
+  if (!match || !/[0-9]/.test(value)) {
+    throw new Error("`value` must be a non-negative decimal number");
+  }
+  const integer = match[1] || "0";
+  const fraction = match[2] || "";
+  if (fraction.length > decimals) {
+    throw new Error(`\`value\` must have at most ${decimals} fraction digits`);
+  }
+  return bigInt(
+    integer + fraction + "0".repeat(decimals - fraction.length),
+    10
+  ).toString();
+}
+
+/**
+ * Compute the hash of a state block
+ * @param accountPublicKey public key (in hex) of the account that owns the block
+ * @param previousBlock hash (in hex) of the previous block, null for open blocks
+ * @param representativePublicKey public key (in hex) of the representative
+ * @param balance string representation of a base 10 number
+ * @param link link field (in hex), either a block hash or a public key
+ * @return hash (in hex) of the block
+ */
+export function hashStateBlock(
+  accountPublicKey: string,
+  previousBlock: ?string,
+  representativePublicKey: string,
+  balance: string,
+  link: string
+): string {
+  const preamble = Buffer.alloc(32);
+  preamble.writeUInt8(0x06, 31);
+
+  const ctx = blake2bInit(32);
+  blake2bUpdate(ctx, preamble);
+  blake2bUpdate(ctx, Buffer.from(accountPublicKey, "hex"));
+  blake2bUpdate(
+    ctx,
+    previousBlock ? Buffer.from(previousBlock, "hex") : Buffer.alloc(32)
+  );
+  blake2bUpdate(ctx, Buffer.from(representativePublicKey, "hex"));
+  blake2bUpdate(ctx, Buffer.from(encodeBalance(balance), "hex"));
+  blake2bUpdate(ctx, Buffer.from(link, "hex"));
+  return Buffer.from(blake2bFinal(ctx)).toString("hex");
+}
+
+/**
+ * Verify the signature of a block against the account public key
+ * @param blockHash hash (in hex) of the signed block
+ * @param signature signature (in hex) of the block
+ * @param publicKey public key (in hex) of the account that signed the block
+ * @return true when the signature is valid
+ * @example
+ * nano.signBlock(path, blockData).then(o =>
+ *   verifyBlockSignature(o.blockHash, o.signature, publicKey)
+ * )
+ */
+export function verifyBlockSignature(
+  blockHash: string,
+  signature: string,
+  publicKey: string
+): boolean {
+  if (
+    !/^[0-9a-fA-F]{64}$/.test(blockHash) ||
+    !/^[0-9a-fA-F]{128}$/.test(signature) ||
+    !/^[0-9a-fA-F]{64}$/.test(publicKey)
+  ) {
+    return false;
+  }
+  return verify(
+    Buffer.from(blockHash, "hex"),
+    Buffer.from(signature, "hex"),
+    Buffer.from(publicKey, "hex")
+  );
+}
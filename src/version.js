@@ -0,0 +1,84 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+/**
+ * Version of the app running on the device.
+ */
+export type AppVersion = {|
+  major: number,
+  minor: number,
+  patch: number
+|};
+
+/**
+ * Minimum app versions required for the app features and commands.
+ * New entries can be added for features of forks.
+ */
+export const APP_CAPABILITIES: { [capability: string]: string } = {
+  coinName: "1.1.0",
+  getAddress: "1.0.0",
+  signBlock: "1.0.0",
+  cacheBlock: "1.0.0"
+};
+
+/**
+ * Parse a version string
+ * @param version version in the major.minor.patch format
+ * @return the version object
+ * @example
+ * parseAppVersion("1.2.4") // { major: 1, minor: 2, patch: 4 }
+ */
+export function parseAppVersion(version: string): AppVersion {
+  const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(version);
+  if (!match) {
+    throw new Error("`version` must be in the major.minor.patch format");
+  }
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    patch: parseInt(match[3], 10)
+  };
+}
+
+/**
+ * Compare two versions
+ * @return a negative number when `a` is older than `b`, a positive number
+ * when `a` is newer than `b` and 0 when they are equal
+ */
+export function compareAppVersions(a: AppVersion, b: AppVersion): number {
+  return a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+}
+
+/**
+ * Check whether the app version supports a capability
+ * @param version version of the app
+ * @param capability name of the capability, see `APP_CAPABILITIES`
+ * @return true when the capability is supported
+ * @example
+ * supportsCapability(parseAppVersion("1.0.0"), "coinName") == false
+ */
+export function supportsCapability(
+  version: AppVersion,
+  capability: string
+): boolean {
+  const minVersion = APP_CAPABILITIES[capability];
+  if (!minVersion) {
+    return false;
+  }
+  return compareAppVersions(version, parseAppVersion(minVersion)) >= 0;
+}
@@ -0,0 +1,275 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+import { blake2b } from "blakejs";
+import type { BlockData } from "./api";
+import { CancelledError } from "./errors";
+
+/**
+ * Proof of work thresholds of the epoch v2 rules.
+ *
+ * @property {string} send threshold for send and change blocks
+ * @property {string} receive threshold for open, receive and epoch blocks
+ */
+export const WORK_THRESHOLDS = {
+  send: "fffffff800000000",
+  receive: "fffffe0000000000"
+};
+
+function parseThreshold(threshold: string): [number, number] {
+  if (!/^[0-9a-fA-F]{16}$/.test(threshold)) {
+    throw new Error("`threshold` must be a 16 character hex string");
+  }
+  return [
+    parseInt(threshold.substr(0, 8), 16),
+    parseInt(threshold.substr(8, 8), 16)
+  ];
+}
+
+function parseRoot(root: string): Buffer {
+  if (!/^[0-9a-fA-F]{64}$/.test(root)) {
+    throw new Error("`root` must be a 64 character hex string");
+  }
+  return Buffer.from(root, "hex");
+}
+
+/**
+ * Search for a nonce that satisfies the threshold, trying at most `count`
+ * nonces starting from `start`. The nonce is in the same byte order as the
+ * hash input (little endian) and is updated in place.
+ * @return true when the nonce satisfies the threshold
+ */
+export function searchNonce(
+  input: Buffer,
+  thresholdHigh: number,
+  thresholdLow: number,
+  count: number
+): boolean {
+  for (let i = 0; i < count; i++) {
+    const hash = blake2b(input, null, 8);
+    const high =
+      ((hash[7] << 24) | (hash[6] << 16) | (hash[5] << 8) | hash[4]) >>> 0;
+    const low =
+      ((hash[3] << 24) | (hash[2] << 16) | (hash[1] << 8) | hash[0]) >>> 0;
+    if (
+      high > thresholdHigh ||
+      (high == thresholdHigh && low >= thresholdLow)
+    ) {
+      return true;
+    }
+
+    // Increment the 64-bit little endian nonce
+    for (let j = 0; j < 8; j++) {
+      input[j] = (input[j] + 1) & 0xff;
+      if (input[j] != 0) {
+        break;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Get the root of the block that the proof of work is computed for
+ * @param accountPublicKey public key (in hex) of the account that owns the block
+ * @param blockData block data
+ * @return the previous block hash, or the account public key for open blocks
+ */
+export function workRoot(
+  accountPublicKey: string,
+  blockData: BlockData
+): string {
+  return blockData.previousBlock || accountPublicKey;
+}
+
+/**
+ * Compute the value of the proof of work
+ * @param root block root (in hex)
+ * @param work proof of work (in hex)
+ * @return the 64-bit value (in hex) to compare against the threshold
+ */
+export function workValue(root: string, work: string): string {
+  if (!/^[0-9a-fA-F]{16}$/.test(work)) {
+    throw new Error("`work` must be a 16 character hex string");
+  }
+  const input = Buffer.concat([
+    Buffer.from(work, "hex").reverse(),
+    parseRoot(root)
+  ]);
+  return Buffer.from(blake2b(input, null, 8))
+    .reverse()
+    .toString("hex");
+}
+
+/**
+ * Check that the proof of work satisfies the threshold
+ * @param root block root (in hex)
+ * @param work proof of work (in hex)
+ * @param threshold minimum work value (in hex), defaults to the send threshold
+ * @return true when the work is valid
+ * @example
+ * validateWork(previousBlock, work, WORK_THRESHOLDS.receive)
+ */
+export function validateWork(
+  root: string,
+  work: string,
+  threshold?: string = WORK_THRESHOLDS.send
+): boolean {
+  parseThreshold(threshold);
+  return workValue(root, work) >= threshold.toLowerCase();
+}
+
+function loadNodeModule(name: string): ?Object {
+  try {
+    // Bypass bundlers, these modules are only used when running under Node
+    return module.require(name);
+  } catch (err) {
+    return null;
+  }
+}
+
+function randomNonce(): Buffer {
+  const nonce = Buffer.alloc(8);
+  for (let i = 0; i < nonce.length; i++) {
+    nonce[i] = Math.floor(Math.random() * 256);
+  }
+  return nonce;
+}
+
+export function nonceToWork(input: Buffer): string {
+  return Buffer.from(input.slice(0, 8))
+    .reverse()
+    .toString("hex");
+}
+
+function cancelledError(): Error {
+  return new CancelledError("generateWork", "abort");
+}
+
+async function generateOnMainThread(
+  root: Buffer,
+  threshold: [number, number],
+  signal: ?AbortSignal
+): Promise<string> {
+  const input = Buffer.concat([randomNonce(), root]);
+  while (!searchNonce(input, threshold[0], threshold[1], 10000)) {
+    // Yield to the event loop to keep the application responsive
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (signal && signal.aborted) {
+      throw cancelledError();
+    }
+  }
+  return nonceToWork(input);
+}
+
+function generateOnWorkers(
+  workerThreads: Object,
+  threadCount: number,
+  root: Buffer,
+  threshold: [number, number],
+  signal: ?AbortSignal
+): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const workers = [];
+    let done = false;
+    const cleanup = () => {
+      done = true;
+      workers.forEach(w => w.terminate());
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+    };
+    const onResult = (work: string) => {
+      if (!done) {
+        cleanup();
+        resolve(work);
+      }
+    };
+    const onError = (err: Error) => {
+      if (!done) {
+        cleanup();
+        reject(err);
+      }
+    };
+    const onAbort = () => onError(cancelledError());
+
+    if (signal) {
+      if (signal.aborted) {
+        reject(cancelledError());
+        return;
+      }
+      signal.addEventListener("abort", onAbort);
+    }
+
+    for (let i = 0; i < threadCount; i++) {
+      const worker = new workerThreads.Worker(require.resolve("./workWorker"), {
+        workerData: {
+          input: Buffer.concat([randomNonce(), root]).toString("hex"),
+          threshold
+        }
+      });
+      worker.on("message", onResult);
+      worker.on("error", onError);
+      workers.push(worker);
+    }
+  });
+}
+
+/**
+ * Generate proof of work on the CPU. When running under Node with worker
+ * threads available, the work is generated on the worker threads, otherwise
+ * the work is generated on the main thread in small batches.
+ * @param root block root (in hex)
+ * @param options.threshold minimum work value (in hex), defaults to the send threshold
+ * @param options.threads number of worker threads to use, defaults to the number
+ * of CPUs, 0 generates the work on the main thread
+ * @param options.signal signal for cancelling the work generation
+ * @return proof of work (in hex)
+ * @example
+ * generateWork(previousBlock, { threshold: WORK_THRESHOLDS.receive }).then(work => ...)
+ */
+export async function generateWork(
+  root: string,
+  options?: {
+    threshold?: string,
+    threads?: number,
+    signal?: ?AbortSignal
+  } = {}
+): Promise<string> {
+  const { threshold = WORK_THRESHOLDS.send, signal } = options;
+  const rootBuf = parseRoot(root);
+  const thresholdParts = parseThreshold(threshold);
+
+  const workerThreads =
+    options.threads !== 0 && loadNodeModule("worker_threads");
+  if (workerThreads) {
+    let { threads } = options;
+    if (!threads) {
+      const os = loadNodeModule("os");
+      threads = os ? os.cpus().length : 1;
+    }
+    return generateOnWorkers(
+      workerThreads,
+      threads,
+      rootBuf,
+      thresholdParts,
+      signal
+    );
+  }
+  return generateOnMainThread(rootBuf, thresholdParts, signal);
+}
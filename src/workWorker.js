@@ -0,0 +1,30 @@
+/********************************************************************************
+ *   LibNano Ledger JS API
+ *   (c) 2018 Mart Roosmaa
+ *
+ *  Licensed under the Apache License, Version 2.0 (the "License");
+ *  you may not use this file except in compliance with the License.
+ *  You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *  Unless required by applicable law or agreed to in writing, software
+ *  distributed under the License is distributed on an "AS IS" BASIS,
+ *  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *  See the License for the specific language governing permissions and
+ *  limitations under the License.
+ ********************************************************************************/
+//@flow
+
+// Entry point of the worker threads used by `generateWork`
+
+import { nonceToWork, searchNonce } from "./work";
+
+const { parentPort, workerData } = module.require("worker_threads");
+
+const input = Buffer.from(workerData.input, "hex");
+const [thresholdHigh, thresholdLow] = workerData.threshold;
+while (!searchNonce(input, thresholdHigh, thresholdLow, 100000)) {
+  // Keep searching until the parent thread terminates the worker
+}
+parentPort.postMessage(nonceToWork(input));